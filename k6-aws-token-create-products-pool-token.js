@@ -22,6 +22,8 @@ const CONFIG = {
     apiKey: 'asasas',
     expirySeconds: 300,
     renewBefore: 60,
+    authFailurePolicy: 'retry',   // abort | retry | skip | failover
+    authMaxRetries: 3,
 };
 
 const pf = new PerformanceFramework();
@@ -30,19 +32,20 @@ const pf = new PerformanceFramework();
 const authPool = pf.loadAuthPool('./auth_creds.csv');
 
 export default function () {
-    // 2. Each VU picks its own credentials from the pool
-    // (exec.vu.idInTest starts at 1, so we subtract 1 for array index)
-    const userCreds = authPool[(exec.vu.idInTest - 1) % authPool.length];
+    // 2. Each VU picks its credentials from the pool
+    // (CREDS_MODE: sticky | round-robin | random)
+    const userCreds = pf.assignCredentials(authPool, pf.getEnv('CREDS_MODE', 'sticky'));
 
     // 3. Get token using this VU's specific credentials
     const token = pf.getToken(CONFIG, userCreds);
+    if (!token) return; // auth failed; skip this iteration
 
     const synthetic_data = pf.generateSynthetic();
 
     group('CREATE Product', () => {
         const price = Math.floor(500 + Math.random() * 500);
         const payload = JSON.stringify({
-            productId: synthetic_data.uuid,
+            productId: synthetic_data.id,
             name: synthetic_data.fullName,
             category: 'Electronics',
             price: price,
@@ -61,7 +64,7 @@ export default function () {
         if (pf.isValid(res)) {
             pf.writeCsv(
                 ['productId', 'status', 'user', 'price', 'timestamp'],
-                [synthetic_data.uuid, res.status, userCreds.clientId, price, new Date().toISOString()]
+                [synthetic_data.id, res.status, pf.activeCredentials.clientId, price, new Date().toISOString()]
             );
         }
     });
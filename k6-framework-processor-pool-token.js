@@ -2,8 +2,48 @@ import { SharedArray } from 'k6/data';
 import exec from 'k6/execution';
 import { sleep } from 'k6';
 import http from 'k6/http';
+import { Trend, Counter, Rate } from 'k6/metrics';
+import encoding from 'k6/encoding';
 import Papa from './lib/papaparse.js';
 
+// Shared with the Artillery processors (pure CommonJS)
+const { createIdGenerator } = require('./processors/id.generator.js');
+const jsonPath = require('./processors/json.path.js');
+const { createLeaseStore, leaseKey, leaseTtlMs } = require('./processors/correlation.leases.js');
+const { validate: validateJsonSchema, formatErrors } = require('./processors/json.schema.js');
+
+/**
+ * OAuth grant strategies. Same credential shape as the Artillery
+ * auth processor: { clientId, clientSecret, grantType, username,
+ * password, refreshToken, clientAuth: 'body' | 'basic' }.
+ */
+const GRANT_STRATEGIES = {
+    client_credentials: {
+        required: ['clientId', 'clientSecret'],
+        params: () => ({ grant_type: 'client_credentials' })
+    },
+    password: {
+        required: ['clientId', 'username', 'password'],
+        params: (c) => ({ grant_type: 'password', username: c.username, password: c.password })
+    },
+    refresh_token: {
+        required: ['clientId', 'refreshToken'],
+        params: (c) => ({ grant_type: 'refresh_token', refresh_token: c.refreshToken })
+    }
+};
+
+// Auth cost, reported separately from API latency
+const authTokenFetchDuration = new Trend('auth_token_fetch_duration', true);
+const authTokenFailures = new Counter('auth_token_failures');
+
+// 1 per response whose body failed its schema (read by reportgenerator.js / sla_evaluator.js)
+const schemaValidationFailed = new Rate('schema_validation_failed');
+
+const formEncode = (params) => Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
+    .join('&');
+
 /**
  * PerformanceFramework v2.4 - VU-safe & reusable
  */
@@ -11,8 +51,14 @@ export class PerformanceFramework {
     constructor() {
         this.dataRegistry = {};
         this._csvHeaderWritten = false;
-        this._token = null;
-        this._tokenGeneratedAt = 0;
+        this._tokens = {};      // tokenKey -> { token, generatedAt, expiresIn, refreshToken }
+        this._stickyCreds = null;
+        this._authPool = null;
+        this.activeCredentials = null; // creds behind the last getToken() result
+        this._ids = null;       // per-VU id generator (see processors/id.generator.js)
+        this._leases = null;    // per-VU 'unique' leases (see processors/correlation.leases.js)
+        this._cursors = {};     // per-VU 'round-robin' cursors, by pool
+        this._schemaSeen = {};  // per-VU validateSchema sampling counters, by name
     }
 
     // --- 1. DATA MANAGEMENT ---
@@ -68,8 +114,6 @@ export class PerformanceFramework {
         const countries = ['United States','Canada','United Kingdom','Australia'];
 
         const vuId = exec.vu?.idInTest || 0;
-        const iter = exec.scenario?.iterationInTest || 0;
-        const randomSuffix = Math.random().toString(36).substring(2, 5).toUpperCase();
         const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
 
         const fn = pick(firstNames);
@@ -78,13 +122,19 @@ export class PerformanceFramework {
         const st = pick(streets);
         const co = pick(countries);
 
-        const uniqueID = `${vuId}${iter}${randomSuffix}`;
+        // run + VU + counter: never repeats, unlike vuId/iter concatenation
+        // or the random uuid below; use `id` for resource ids
+        if (!this._ids) {
+            this._ids = createIdGenerator({ runId: this.getEnv('RUN_ID', 'k6'), workerId: vuId });
+        }
+        const uniqueID = this._ids.next();
 
         return {
+            id:        uniqueID,
             fullName:  `${fn} ${ln}`,
             firstName: fn,
             lastName:  ln,
-            email:     `perf${fn.toLowerCase()}.${ln.toLowerCase()}.${uniqueID}@example.com`,
+            email:     `perf${fn.toLowerCase()}.${ln.toLowerCase()}.${uniqueID.toLowerCase()}@example.com`,
             street:    `${Math.floor(Math.random() * 9999) + 1} ${st}`,
             city:      ct,
             country:   co,
@@ -182,78 +232,393 @@ export class PerformanceFramework {
 
     // Load the Auth CSV into a SharedArray
     loadAuthPool(path) {
-        return new SharedArray('auth_pool', function () {
+        this._authPool = new SharedArray('auth_pool', function () {
             const data = open(path);
             return Papa.parse(data, { 
                 header: true, skipEmptyLines: true // Prevents the "ClientID: undefined" error
              }).data;
         });
+        return this._authPool;
     }
 
-    // Updated getToken to use specific credentials passed in
-    getToken(config, userCreds, verbose = true) {
+    /**
+     * Pick credentials from a loadAuthPool() pool for the current iteration.
+     * Modes:
+     *   - sticky      (default) same row for the whole life of the VU
+     *   - round-robin next row on every iteration across the test
+     *   - random      any row, per iteration
+     * @param {Array} pool
+     * @param {string} mode
+     */
+    assignCredentials(pool, mode = 'sticky') {
+        if (!pool || pool.length === 0) throw new Error('Auth pool is empty.');
+
+        if (mode === 'random') return pool[Math.floor(Math.random() * pool.length)];
+
+        if (mode === 'round-robin') {
+            const iter = exec.scenario?.iterationInTest || 0;
+            return pool[iter % pool.length];
+        }
+
+        if (!this._stickyCreds) {
+            const vuId = exec.vu?.idInTest || 1;
+            this._stickyCreds = pool[(vuId - 1) % pool.length];
+        }
+        return this._stickyCreds;
+    }
+
+    /**
+     * Cache key for a credential set: one token per clientId
+     * (and per user for password grants).
+     */
+    tokenKey(creds) {
+        return creds.username ? `${creds.clientId}|${creds.username}` : String(creds.clientId);
+    }
+
+    /**
+     * Merge CSV credentials over config defaults into one credential set.
+     * CSV columns: clientId, clientSecret, grantType, username, password,
+     * refreshToken, clientAuth (all optional except what the grant needs).
+     */
+    resolveCredentials(config, userCreds) {
+        const src = userCreds || {};
+        const pick = (k) => (src[k] !== undefined && src[k] !== '' ? src[k] : config[k]);
+        return {
+            clientId:     pick('clientId'),
+            clientSecret: pick('clientSecret'),
+            username:     pick('username'),
+            password:     pick('password'),
+            refreshToken: pick('refreshToken'),
+            grantType:    String(pick('grantType') || 'client_credentials').toLowerCase(),
+            clientAuth:   String(pick('clientAuth') || 'body').toLowerCase()
+        };
+    }
+
+    /**
+     * Build the token request body and headers for a credential set.
+     */
+    buildTokenRequest(config, creds) {
+        const strategy = GRANT_STRATEGIES[creds.grantType];
+        if (!strategy) throw new Error(`Unsupported OAuth grant type: ${creds.grantType}`);
+
+        const missing = strategy.required.filter((k) => !creds[k]);
+        if (creds.clientAuth === 'basic' && !creds.clientSecret) missing.push('clientSecret');
+        if (missing.length) throw new Error(`Missing OAuth credentials: ${missing.join(', ')}`);
+
+        const params = Object.assign({}, strategy.params(creds), {
+            scope: config.scopes,
+            audience: config.audience
+        });
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+        if (creds.clientAuth === 'basic') {
+            headers.Authorization = 'Basic ' + encoding.b64encode(
+                `${encodeURIComponent(creds.clientId)}:${encodeURIComponent(creds.clientSecret)}`
+            );
+        } else {
+            params.client_id = creds.clientId;
+            params.client_secret = creds.clientSecret;
+        }
+
+        return { payload: formEncode(params), headers };
+    }
+
+    /**
+     * Return a still-valid cached token for a credential set, or null.
+     */
+    cachedToken(config, creds, verbose = true) {
         const now = Date.now() / 1000;
-        const expiresIn = config.expirySeconds || 300;
-        const renewBefore = config.renewBefore || 60;
+        const cid = String(creds.clientId || '');
+        const cached = this._tokens[this.tokenKey(creds)];
 
-        const cid = userCreds ? userCreds.clientId : config.clientId;
-        const sec = userCreds ? userCreds.clientSecret : config.clientSecret;
+        // Rotated refresh token for this credential wins over the CSV value
+        if (cached && cached.refreshToken) creds.refreshToken = cached.refreshToken;
 
-        if (this._token) {
-            const age = now - this._tokenGeneratedAt;
-            const remaining = expiresIn - age;
+        if (cached && cached.token) {
+            const lifetime = cached.expiresIn || config.expirySeconds || 300;
+            const age = now - cached.generatedAt;
+            const remaining = lifetime - age;
 
-            if (age < (expiresIn - renewBefore)) {
+            if (age < (lifetime - (config.renewBefore || 60))) {
                 // Only print reuse logs if verbose is true
                 if (verbose) {
                     this.log(`[DEBUG] Token Reuse: ${cid.substring(0,8)}... (Valid for ${Math.round(remaining)}s)`);
                 }
-                return this._token;
-            } else {
-                this.log(`[DEBUG] Token Renewal: ${cid.substring(0,8)}... reached threshold.`);
+                return cached.token;
             }
+            this.log(`[DEBUG] Token Renewal: ${cid.substring(0,8)}... reached threshold.`);
         } else {
-            this.log(`[DEBUG] Token Initial: Fetching for ${cid.substring(0,8)}...`);
+            this.log(`[DEBUG] Token Initial: Fetching for ${cid.substring(0,8)}... (${creds.grantType})`);
         }
+        return null;
+    }
+
+    /**
+     * One call to the token endpoint. Records auth_token_fetch_duration and
+     * auth_token_failures so auth cost is reported apart from API latency.
+     * @returns {string|null} access token, or null on failure
+     */
+    fetchToken(config, creds) {
+        const cid = String(creds.clientId || '');
+        const request = this.buildTokenRequest(config, creds);
 
-        const payload = `grant_type=client_credentials&client_id=${encodeURIComponent(cid)}&client_secret=${encodeURIComponent(sec)}`;
-        
-        const res = http.post(config.tokenUrl, payload, {
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        const res = http.post(config.tokenUrl, request.payload, {
+            headers: request.headers,
+            tags: { name: 'auth_token' }
         });
+        authTokenFetchDuration.add(res.timings.duration, { grant: creds.grantType });
 
+        let body = null;
         if (res.status === 200) {
-            this._token = JSON.parse(res.body).access_token;
-            this._tokenGeneratedAt = now;
-            this.log(`[SUCCESS] Token acquired for ${cid.substring(0,8)}...`);
-            return this._token;
-        } else {
-            this.log(`[AUTH FATAL] Status ${res.status} for ${cid}. Body: ${res.body}`);
-            exec.test.abort();
+            try { body = JSON.parse(res.body); } catch (e) { body = null; }
         }
+
+        if (!body || !body.access_token) {
+            authTokenFailures.add(1, { grant: creds.grantType, status: String(res.status) });
+            this.log(`[AUTH ERROR] Status ${res.status} for ${cid.substring(0,8)}... Body: ${res.body}`);
+            return null;
+        }
+
+        this._tokens[this.tokenKey(creds)] = {
+            token: body.access_token,
+            generatedAt: Date.now() / 1000,
+            expiresIn: Number(body.expires_in) > 0 ? Number(body.expires_in) : (config.expirySeconds || 300),
+            // Rotating endpoints invalidate the previous refresh token
+            refreshToken: body.refresh_token || creds.refreshToken
+        };
+        this.log(`[SUCCESS] Token acquired for ${cid.substring(0,8)}...`);
+        return body.access_token;
+    }
+
+    /**
+     * Try the other credentials of the auth pool, in pool order.
+     * The VU sticks to the first one that works; a candidate that
+     * throws (bad row, unsupported grant type) is skipped.
+     */
+    failover(config, failedCreds) {
+        const pool = this._authPool || [];
+        const start = pool.findIndex((c) => c.clientId === failedCreds.clientId);
+
+        for (let i = 1; i <= pool.length; i++) {
+            const candidate = pool[(start + i) % pool.length];
+            try {
+                const creds = this.resolveCredentials(config, candidate);
+                if (this.tokenKey(creds) === this.tokenKey(failedCreds)) continue;
+
+                this.log(`[AUTH FAILOVER] Trying ${String(creds.clientId).substring(0,8)}...`);
+                const token = this.cachedToken(config, creds, false) || this.fetchToken(config, creds);
+                if (token) {
+                    this._stickyCreds = candidate;
+                    this.activeCredentials = candidate;
+                    return token;
+                }
+            } catch (e) {
+                // Bad credential row / grant type: move on to the next one
+                this.log(`[AUTH FAILOVER] Skipping ${String(candidate.clientId || '').substring(0,8)}: ${e.message}`);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get or reuse an OAuth token for specific credentials.
+     * config.authFailurePolicy decides what happens when the endpoint fails:
+     *   - abort    (default) stop the whole test
+     *   - retry    retry with exponential backoff (authMaxRetries, authRetryBaseMs),
+     *              then skip the iteration
+     *   - skip     return null so the caller skips this iteration
+     *   - failover switch to another credential from loadAuthPool()
+     * @returns {string|null}
+     */
+    getToken(config, userCreds, verbose = true) {
+        const creds = this.resolveCredentials(config, userCreds);
+        const cid = String(creds.clientId || '');
+        this.activeCredentials = userCreds || creds;
+
+        const cached = this.cachedToken(config, creds, verbose);
+        if (cached) return cached;
+
+        const policy = config.authFailurePolicy || 'abort';
+        const maxRetries = policy === 'retry' ? (config.authMaxRetries ?? 3) : 0;
+        const baseDelay = (config.authRetryBaseMs ?? 500) / 1000;
+
+        let token = null;
+        try {
+            for (let attempt = 0; attempt <= maxRetries && !token; attempt++) {
+                if (attempt > 0) sleep(baseDelay * Math.pow(2, attempt - 1) + Math.random() * baseDelay);
+                token = this.fetchToken(config, creds);
+            }
+        } catch (e) {
+            // Invalid credential shape / grant type: retrying cannot help
+            this.log(`[AUTH FATAL] ${e.message}`);
+            exec.test.abort(e.message);
+        }
+        if (token) return token;
+
+        if (policy === 'failover') {
+            token = this.failover(config, creds);
+            if (token) return token;
+        }
+
+        if (policy === 'abort') {
+            this.log(`[AUTH FATAL] Token request failed for ${cid}.`);
+            exec.test.abort(`OAuth token failure for ${cid.substring(0,8)}...`);
+        }
+
+        this.log(`[AUTH SKIP] No token for ${cid.substring(0,8)}... (policy: ${policy})`);
+        return null;
     }
 
 
     // --- 6. RESPONSE HANDLING & CORRELATION ---
-    extract(res, pattern, strategy = 'random') {
+    /**
+     * Extracts a value from a response; same expressions as the
+     * Artillery `correlate` hook (processors/json.path.js).
+     *
+     *   pf.extract(res, '$.products[?(@.stock > 0)]', 'random', { field: 'id' })
+     *   pf.extract(res, '$.products', 'first', { where: "category == 'Books'", field: 'price.amount' })
+     *   pf.extract(res, /name="csrf" value="([^"]+)"/, 'first')
+     *   pf.extract(res, 'products.#.id')              // k6 gjson (no leading $)
+     *
+     * strategy: 'random' | 'first' | 'last' | 'unique' | 'round-robin' | <index>
+     * options:  { field, where, group, pool, partition, leaseTtlSec }
+     *   group       regex capture, default 1
+     *   pool        lease / cursor name, default the pattern
+     *   partition   N: VU v only sees items i where i % N == (v - 1) % N
+     *   leaseTtlSec expire 'unique' leases that are never released
+     *               (default 300, 0 = until released)
+     *
+     * k6 VUs share no memory, so leases and cursors live in each VU.
+     * 'unique' is made unique across VUs by partitioning: by default
+     * it uses partition = initialized VUs of this k6 instance, so
+     * every VU leases from its own slice (a VU gets null when the
+     * list has fewer items than VUs). { partition: false } keeps
+     * the whole list per VU: unique within the VU only. Several k6
+     * instances (distributed runs) are not coordinated.
+     * Each 'unique' call hands back the VU's previous item in the
+     * pool, like correlate's UNIQUE mode; pf.release() returns it
+     * before the next iteration.
+     * 'round-robin' walks the list per VU.
+     */
+    extract(res, pattern, strategy = 'random', options = {}) {
+        // Compiled up front: a typo in the path or `where` throws
+        // instead of looking like "no match"
+        const isPath = typeof pattern === 'string' && pattern.startsWith('$');
+        if (isPath) jsonPath.parsePath(pattern);
+        if (options.field) jsonPath.parsePath(options.field);
+        const where = options.where ? jsonPath.compilePredicate(options.where) : null;
+
+        let results = [];
         try {
-            let results = [];
-            if (typeof pattern === 'string') {
+            if (pattern instanceof RegExp) {
+                results = jsonPath.regexMatches(res.body, pattern, { group: options.group });
+            } else if (isPath) {
+                results = jsonPath.queryList(res.json(), pattern);
+            } else if (typeof pattern === 'string') {
                 const val = res.json(pattern);
                 results = Array.isArray(val) ? val : [val];
-            } else if (pattern instanceof RegExp) {
-                results = [...res.body.matchAll(pattern)].map(m => m[1]);
             }
-            if (!results.length || results[0] === undefined) return null;
-            if (typeof strategy === 'number') return results[strategy];
-            return strategy === 'random' ? results[Math.floor(Math.random() * results.length)] : results[0];
-        } catch (e) { return null; }
+        } catch (e) {
+            // Missing or non-JSON body
+            return null;
+        }
+
+        if (where) results = results.filter(where);
+        const partition = options.partition ?? (strategy === 'unique' ? exec.instance.vusInitialized : 0);
+        if (partition) {
+            const n = Number(partition);
+            const slot = ((exec.vu?.idInTest || 1) - 1) % n;
+            results = results.filter((_, i) => i % n === slot);
+        }
+        if (!results.length || results[0] === undefined) return null;
+
+        const pool = options.pool || String(pattern);
+        const valueOf = (item) => (options.field ? jsonPath.first(item, options.field) : item);
+
+        let item;
+        if (typeof strategy === 'number') item = results[strategy];
+        else if (strategy === 'random') item = results[Math.floor(Math.random() * results.length)];
+        else if (strategy === 'last') item = results[results.length - 1];
+        else if (strategy === 'round-robin') {
+            const cursor = this._cursors[pool] || 0;
+            this._cursors[pool] = cursor + 1;
+            item = results[cursor % results.length];
+        } else if (strategy === 'unique') item = this.leaseUnique(pool, results, valueOf, options);
+        else item = results[0];
+
+        if (item === undefined) return null;
+        const value = valueOf(item);
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Leases a free item of `results`, scanning from a random
+     * offset. Like the Artillery side, the VU holds one lease per
+     * pool: its previous item goes back first.
+     */
+    leaseUnique(pool, results, valueOf, options) {
+        this._leases = this._leases || createLeaseStore();
+        const holder = exec.vu?.idInTest || 0;
+        const keys = results.map((item) => leaseKey(valueOf(item)));
+        const offset = Math.floor(Math.random() * results.length);
+
+        const index = this._leases.acquireNext(pool, holder, keys, leaseTtlMs(options.leaseTtlSec), offset);
+        return index === -1 ? undefined : results[index];
+    }
+
+    /**
+     * Returns 'unique' items to the pool: one pool (the extract
+     * pattern or options.pool) or every pool of this VU.
+     */
+    release(pool) {
+        if (!this._leases) return 0;
+        return this._leases.release(exec.vu?.idInTest || 0, pool === undefined ? undefined : String(pool));
+    }
+
+    /**
+     * Validates the JSON body against a JSON Schema / OpenAPI
+     * response schema (processors/json.schema.js). Only status < 400
+     * is validated; every validated response feeds the
+     * schema_validation_failed rate, tagged with the request's
+     * `name` tag (k6 responses do not carry tags, so pass the
+     * request params or the name; never the URL, which would
+     * create one series per id).
+     *
+     *   const productSchema = JSON.parse(open('./app1/schemas/product.json'));
+     *   const params = { headers, tags: { name: 'GET_Product' } };
+     *   const res = http.get(`${CONFIG.baseUrl}/products/${id}`, params);
+     *   pf.isValid(res, id, true, pf.validateSchema(res, productSchema, { params, sampleRate: 10 }));
+     *
+     * options: { params (request params with tags.name), name,
+     *            sampleRate (1 in N, env SCHEMA_SAMPLE_RATE), root }
+     * Returns false on failure, true when valid or not sampled.
+     */
+    validateSchema(res, schema, options = {}) {
+        if (res.status >= 400) return true;
+
+        const name = options.name || options.params?.tags?.name || 'unnamed';
+        const rate = Math.max(1, Math.floor(Number(options.sampleRate || this.getEnv('SCHEMA_SAMPLE_RATE', 1)) || 1));
+        this._schemaSeen[name] = (this._schemaSeen[name] || 0) + 1;
+        if ((this._schemaSeen[name] - 1) % rate !== 0) return true;
+
+        let body;
+        let errors;
+        try {
+            body = res.json();
+        } catch (e) {
+            errors = [{ path: '$', message: 'is not valid JSON' }];
+        }
+        errors = errors || validateJsonSchema(schema, body, options.root);
+
+        schemaValidationFailed.add(errors.length > 0, { name });
+        if (errors.length > 0) this.log(`[SCHEMA] ${name}: ${formatErrors(errors)}`);
+        return errors.length === 0;
     }
 
-    isValid(res, correlation = true, strict = true) {
-        const hasError = res.status >= 400 || correlation === null;
+    isValid(res, correlation = true, strict = true, schemaValid = true) {
+        const hasError = res.status >= 400 || correlation === null || schemaValid === false;
         if (hasError) {
-            this.log(`[ALERT] Status: ${res.status} | Correlation valid: ${correlation !== null}`);
+            this.log(`[ALERT] Status: ${res.status} | Correlation valid: ${correlation !== null} | Schema valid: ${schemaValid !== false}`);
             return !strict;
         }
         return true;
@@ -0,0 +1,180 @@
+/**
+ * ============================================================
+ * LIFECYCLE PLUGIN
+ * ============================================================
+ * Artillery side of processors/lifecycle.js.
+ *
+ *   config:
+ *     plugins:
+ *       lifecycle:
+ *         flushTimeoutMs: 30000   # main thread wait for worker flushes
+ *
+ * Worker threads:
+ *  - cleanup() runs every lifecycle flush handler (streams, S3
+ *    parts, metrics rollup, route mix). Workers await plugin
+ *    cleanup before they exit, unlike `beforeExit`.
+ *  - lifecycle.requestStop() is forwarded to the main thread.
+ *
+ * Main thread:
+ *  - Sets RUN_ID (from Artillery's test run id, or generated)
+ *    unless ARTILLERY_TEST_RUN_ID / RUN_ID is set, so workers
+ *    started after it share one run id (pointer resets,
+ *    artifact paths).
+ *  - Ends the run through global.artillery.shutdown() and sets
+ *    the suggested exit code, on the next intermediate report
+ *    (stopAction: drain) or right away (stopAction: shutdown).
+ *  - cleanup() waits until every worker reports its flush done,
+ *    because Artillery exits the process without waiting for
+ *    worker threads.
+ *
+ * Threads talk over a BroadcastChannel (one process per run, or
+ * per Fargate task; a stop ends the task that requested it).
+ *
+ * Loading: the project package.json depends on this directory
+ * (`npm install` links it into node_modules). Local runs with a
+ * global Artillery also need ARTILLERY_PLUGIN_PATH=$PWD/node_modules.
+ */
+
+const { BroadcastChannel, isMainThread, threadId } = require('worker_threads');
+const lifecycle = require('../../processors/lifecycle');
+
+const CHANNEL_NAME = 'artillery-plugin-lifecycle';
+const DEFAULT_FLUSH_TIMEOUT_MS = 30000;
+
+/**
+ * Creates the plugin (Artillery v2 plugin interface).
+ *
+ * @param {Object} script - Test script (plugin settings in config.plugins.lifecycle)
+ * @param {EventEmitter} events - Artillery plugin events
+ */
+function LifecyclePlugin(script, events) {
+  const settings = (script.config.plugins && script.config.plugins.lifecycle) || {};
+
+  this.channel = new BroadcastChannel(CHANNEL_NAME);
+  this.channel.unref();
+  this.flushTimeoutMs = Number(settings.flushTimeoutMs) || DEFAULT_FLUSH_TIMEOUT_MS;
+
+  if (isMainThread) {
+    this.initMainThread(events);
+  } else {
+    this.initWorker();
+  }
+}
+
+/**
+ * ------------------------------------------------------------
+ * WORKER THREADS
+ * ------------------------------------------------------------
+ */
+
+LifecyclePlugin.prototype.initWorker = function () {
+  this.channel.postMessage({ type: 'worker', worker: threadId });
+
+  lifecycle.onStop(request => {
+    this.channel.postMessage({ type: 'stop', worker: threadId, ...request });
+  });
+};
+
+/**
+ * ------------------------------------------------------------
+ * MAIN THREAD
+ * ------------------------------------------------------------
+ */
+
+/**
+ * local-<YYYYMMDDTHHMMSS>-<pid>, like artifact.sink.js.
+ */
+function localRunId() {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  return `local-${timestamp}-${process.pid}`;
+}
+
+LifecyclePlugin.prototype.initMainThread = function (events) {
+  if (!process.env.ARTILLERY_TEST_RUN_ID && !process.env.RUN_ID) {
+    process.env.RUN_ID = (global.artillery && global.artillery.testRunId) || localRunId();
+  }
+
+  /**
+   * Workers that have not reported their final flush yet.
+   */
+  this.unflushed = new Set();
+  this.flushed = null;
+  this.stopRequest = null;
+  this.ended = false;
+
+  this.channel.onmessage = ({ data }) => {
+    if (data.type === 'worker') {
+      this.unflushed.add(data.worker);
+    } else if (data.type === 'flushed') {
+      this.unflushed.delete(data.worker);
+      if (this.unflushed.size === 0 && this.flushed) this.flushed();
+    } else if (data.type === 'stop' && !this.stopRequest) {
+      this.stopRequest = data;
+      if (data.action === 'shutdown') this.endRun();
+    }
+  };
+
+  // Intermediate reports include whatever was in flight when
+  // the stop was requested
+  events.on('stats', () => {
+    if (this.stopRequest) this.endRun();
+  });
+
+  lifecycle.onStop(request => {
+    this.channel.onmessage({ data: { type: 'stop', ...request } });
+  });
+};
+
+/**
+ * Ends the run with the exit code of the stop request.
+ */
+LifecyclePlugin.prototype.endRun = function () {
+  if (this.ended || !global.artillery || typeof global.artillery.shutdown !== 'function') return;
+  this.ended = true;
+
+  const { reason, exitCode } = this.stopRequest;
+  global.artillery.suggestedExitCode = exitCode;
+  global.artillery.log(`⏹️ Ending run early: ${reason}`);
+  global.artillery.shutdown({ earlyStop: true, exitCode });
+};
+
+/**
+ * Resolves once every worker has flushed, or after the timeout.
+ */
+LifecyclePlugin.prototype.waitForWorkers = function () {
+  if (this.unflushed.size === 0) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      console.warn(`⚠️ ${this.unflushed.size} worker(s) did not finish flushing within ${this.flushTimeoutMs} ms`);
+      resolve();
+    }, this.flushTimeoutMs);
+
+    this.flushed = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+};
+
+/**
+ * ------------------------------------------------------------
+ * CLEANUP
+ * ------------------------------------------------------------
+ */
+
+LifecyclePlugin.prototype.cleanup = function (done) {
+  const finished = isMainThread
+    ? lifecycle.flushAll().then(() => this.waitForWorkers())
+    : lifecycle.flushAll().then(() => this.channel.postMessage({ type: 'flushed', worker: threadId }));
+
+  finished.then(
+    () => {
+      this.channel.close();
+      done();
+    },
+    err => done(err)
+  );
+};
+
+module.exports.Plugin = LifecyclePlugin;
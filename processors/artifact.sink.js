@@ -0,0 +1,293 @@
+/**
+ * ============================================================
+ * ARTIFACT SINK
+ * ============================================================
+ * One place for everything the processors persist
+ * (metrics, error logs, created IDs, ...).
+ *
+ * Owns what used to be duplicated in every processor:
+ *  - Environment detection (AWS_EXECUTION_ENV → Fargate)
+ *  - Results directory, bucket, region, S3 client
+ *  - Run id and the run-scoped artifact layout
+ *
+ * Layout (every target):
+ *   <runId>/<artifact>
+ *
+ *  - local          → <ARTIFACT_DIR>/<runId>/<artifact>
+ *                     (reports/ locally, /tmp/artillery_results on Fargate)
+ *  - s3             → s3://<bucket>/test-runs/<runId>/<worker>/<artifact parts>
+ *  - s3-compatible  → same as s3, against S3_ENDPOINT (MinIO, LocalStack, ...)
+ *  - stdout         → "[<runId>/<artifact>] <line>" on standard output
+ *
+ * Configuration (environment; processors load before YAML vars exist):
+ *   ARTIFACT_SINKS       Comma separated targets.
+ *                        Default: local (+ s3 on Fargate)
+ *   ARTIFACT_DIR         Base directory for the local target
+ *   METRICS_BUCKET       Bucket for s3 / s3-compatible
+ *   AWS_REGION           Region for s3 (default us-east-1)
+ *   S3_ENDPOINT          Endpoint for s3-compatible
+ *   S3_FORCE_PATH_STYLE  "true" for path-style addressing
+ *   RUN_ID               Run id when Artillery does not provide one
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createS3Uploader } = require('./s3.uploader');
+const lifecycle = require('./lifecycle');
+
+/**
+ * ------------------------------------------------------------
+ * ENVIRONMENT DETECTION
+ * ------------------------------------------------------------
+ */
+
+/**
+ * True when running inside AWS Fargate.
+ * AWS_EXECUTION_ENV is always set by ECS/Fargate.
+ */
+const isFargate = Boolean(process.env.AWS_EXECUTION_ENV);
+
+/**
+ * Project root (one level above processors).
+ */
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Base directory for the local target:
+ *  - Fargate → /tmp/artillery_results
+ *  - Local / CI → ./reports
+ */
+const BASE_DIR = process.env.ARTIFACT_DIR ||
+  (isFargate ? '/tmp/artillery_results' : path.join(PROJECT_ROOT, 'reports'));
+
+/**
+ * S3 settings for the s3 / s3-compatible targets.
+ */
+const S3_BUCKET =
+  process.env.METRICS_BUCKET || 'artilleryio-test-data-983610474809';
+const S3_REGION = process.env.AWS_REGION || 'us-east-1';
+const S3_ENDPOINT = process.env.S3_ENDPOINT;
+
+/**
+ * Supported target names.
+ */
+const TARGETS = ['local', 's3', 's3-compatible', 'stdout'];
+
+/**
+ * Targets selected for this process.
+ */
+const SELECTED_TARGETS = (process.env.ARTIFACT_SINKS || (isFargate ? 'local,s3' : 'local'))
+  .split(',')
+  .map(t => t.trim().toLowerCase())
+  .filter(Boolean);
+
+SELECTED_TARGETS.forEach(t => {
+  if (!TARGETS.includes(t)) {
+    throw new Error(`Unknown artifact sink "${t}" (expected ${TARGETS.join(', ')})`);
+  }
+});
+
+/**
+ * ------------------------------------------------------------
+ * RUN ID
+ * ------------------------------------------------------------
+ */
+
+let runId = null;
+
+/**
+ * Formats a Date as YYYYMMDDTHHMMSS (UTC).
+ */
+function compactTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+}
+
+/**
+ * Resolves the run id on first use:
+ *  1. ARTILLERY_TEST_RUN_ID (run-fargate)
+ *  2. RUN_ID (set by CI, the user or the lifecycle plugin)
+ *  3. Artillery's own test run id (set after processors load)
+ *  4. local-<process start>-<pid>, identical for every worker
+ *     thread of one local run
+ */
+function getRunId() {
+  if (runId) return runId;
+
+  runId =
+    process.env.ARTILLERY_TEST_RUN_ID ||
+    process.env.RUN_ID ||
+    (global.artillery && global.artillery.testRunId) ||
+    `local-${compactTimestamp(new Date(Date.now() - process.uptime() * 1000))}-${process.pid}`;
+
+  return runId;
+}
+
+/**
+ * @returns {string} Local directory holding this run's artifacts.
+ */
+function getRunDir() {
+  return path.join(BASE_DIR, getRunId());
+}
+
+/**
+ * ------------------------------------------------------------
+ * TARGETS
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Local target: one append stream per artifact.
+ * A header is written only by whoever creates the file.
+ */
+function createLocalTarget() {
+  const streams = {};
+
+  const streamFor = (artifact, header) => {
+    if (streams[artifact]) return streams[artifact];
+
+    const dir = getRunDir();
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, artifact);
+
+    if (header) {
+      try {
+        fs.writeFileSync(file, header, { flag: 'wx' });
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+    }
+
+    streams[artifact] = fs.createWriteStream(file, { flags: 'a' });
+    return streams[artifact];
+  };
+
+  return {
+    write(artifact, text, header) {
+      streamFor(artifact, header).write(text);
+    },
+
+    flush() {
+      return Promise.all(
+        Object.values(streams).map(
+          stream =>
+            new Promise(resolve => {
+              if (stream.destroyed || stream.writableEnded) return resolve();
+              stream.write('', resolve);
+            })
+        )
+      );
+    }
+  };
+}
+
+/**
+ * S3 target: batched part uploads under test-runs/<runId>/.
+ *
+ * @param {string} [endpoint] - S3-compatible endpoint
+ */
+function createS3Target(endpoint) {
+  let uploader = null;
+  const headersWritten = {};
+
+  const getUploader = () =>
+    uploader ||
+    (uploader = createS3Uploader({
+      bucket: S3_BUCKET,
+      prefix: `test-runs/${getRunId()}`,
+      region: S3_REGION,
+      endpoint,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      flushIntervalMs: Number(process.env.S3_FLUSH_INTERVAL_MS) || undefined,
+      maxBatchBytes: Number(process.env.S3_MAX_BATCH_BYTES) || undefined
+    }));
+
+  return {
+    write(artifact, text, header) {
+      if (header && !headersWritten[artifact]) {
+        headersWritten[artifact] = true;
+        getUploader().append(artifact, header);
+      }
+      getUploader().append(artifact, text);
+    },
+
+    flush() {
+      return uploader ? uploader.flush() : Promise.resolve();
+    }
+  };
+}
+
+/**
+ * Stdout target: prefixes every line with its artifact.
+ */
+function createStdoutTarget() {
+  return {
+    write(artifact, text) {
+      const prefix = `[${getRunId()}/${artifact}] `;
+      process.stdout.write(
+        text
+          .split('\n')
+          .filter(Boolean)
+          .map(line => prefix + line + '\n')
+          .join('')
+      );
+    },
+
+    flush() {
+      return Promise.resolve();
+    }
+  };
+}
+
+/**
+ * Instantiated targets.
+ */
+const targets = SELECTED_TARGETS.map(name => {
+  switch (name) {
+    case 'local': return createLocalTarget();
+    case 's3': return createS3Target(S3_ENDPOINT);
+    case 's3-compatible': {
+      if (!S3_ENDPOINT) throw new Error('Artifact sink "s3-compatible" requires S3_ENDPOINT');
+      return createS3Target(S3_ENDPOINT);
+    }
+    default: return createStdoutTarget();
+  }
+});
+
+/**
+ * ------------------------------------------------------------
+ * PUBLIC API
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Returns a writer for one artifact.
+ *
+ * @param {string} artifact - Artifact filename (e.g. 'errors.jsonl')
+ * @param {Object} [options]
+ * @param {string} [options.header] - Written once when the artifact is created
+ * @returns {{ write: Function }}
+ */
+function openArtifact(artifact, { header } = {}) {
+  return {
+    write(text) {
+      targets.forEach(target => target.write(artifact, text, header));
+    }
+  };
+}
+
+/**
+ * Flushes every target (local streams, S3 batches).
+ */
+function flush() {
+  return Promise.all(targets.map(target => target.flush())).then(() => {});
+}
+
+lifecycle.onShutdown('artifact.sink', flush);
+
+module.exports = {
+  isFargate,
+  getRunId,
+  getRunDir,
+  openArtifact,
+  flush
+};
@@ -5,81 +5,424 @@
  * Handles OAuth token generation and caching.
  * Prevents token storms under high load by caching
  * tokens per clientId across all virtual users.
+ *
+ * Credentials come from context vars (CSV payload or `config.variables`):
+ *   clientId, clientSecret - OAuth app client
+ *   grantType    - client_credentials (default) | password | refresh_token
+ *   username, password     - Resource owner (password grant)
+ *   refreshToken           - Initial refresh token (refresh_token grant)
+ *   clientAuth   - body (default) | basic (HTTP Basic client authentication)
+ *
+ * The same credential shape drives PerformanceFramework.getToken (k6),
+ * so one credentials CSV works for both tools.
+ *
+ * Configuration (YAML `config.variables` → env var → default):
+ *   authTokenUrl    / AUTH_TOKEN_URL    - Full token endpoint URL
+ *   authScopes      / AUTH_SCOPES       - Space or comma separated scopes
+ *   authAudience    / AUTH_AUDIENCE     - Optional audience parameter
+ *   authRenewBuffer / AUTH_RENEW_BUFFER - Seconds to renew before expiry
+ *   authMaxAttempts / AUTH_MAX_ATTEMPTS - Token requests per refresh (default 3)
+ *   authRetryBaseMs / AUTH_RETRY_BASE_MS - First backoff delay (default 200ms)
+ *   grantType       / AUTH_GRANT_TYPE   - Default grant when the VU has none
+ *   clientAuth      / AUTH_CLIENT_AUTH  - Default client authentication
  */
 
+const http = require('http');
 const https = require('https');
 
+/**
+ * ------------------------------------------------------------
+ * DEFAULTS
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Token endpoint used when nothing is configured.
+ */
+const DEFAULT_TOKEN_URL =
+  'https://us-east-2dol8jtcrd.auth.us-east-2.amazoncognito.com/oauth2/token';
+
+/**
+ * Fallback lifetime when the response carries no `expires_in`.
+ */
+const DEFAULT_TOKEN_TTL = 300;   // Cognito default
+
+/**
+ * Renew this many seconds before the token actually expires.
+ */
+const DEFAULT_RENEW_BUFFER = 60; // Renew 1 min early
+
+/**
+ * Bounded retry for throttled / failed token requests.
+ */
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_MS = 200;
+
 /**
  * In-memory token cache shared across VUs.
  * Structure:
  * {
- *   clientId: {
+ *   cacheKey: {
  *     token: string,
- *     generatedAt: epochSeconds
+ *     generatedAt: epochSeconds,
+ *     expiresAt: epochSeconds
  *   }
  * }
  */
 const tokenCache = {};
 
 /**
- * Fetches or reuses an OAuth access token.
+ * In-flight token requests keyed like `tokenCache`.
+ * Concurrent VUs share one promise instead of each
+ * posting to the token endpoint.
  */
-function getAuthToken(requestParams, context, ee, next) {
-  const { clientId, clientSecret } = context.vars;
+const pendingTokens = {};
 
-  if (!clientId || !clientSecret) {
-    return next(new Error('Missing OAuth credentials'));
+/**
+ * Latest refresh token per cache key.
+ * Rotating endpoints return a new refresh token with every
+ * grant; the previous one is invalid from then on.
+ */
+const refreshTokens = {};
+
+/**
+ * ------------------------------------------------------------
+ * GRANT STRATEGIES
+ * ------------------------------------------------------------
+ * Each strategy validates the credentials it needs and returns
+ * the grant-specific form parameters. Client authentication
+ * (body vs HTTP Basic) is applied separately.
+ */
+const GRANT_STRATEGIES = {
+  client_credentials: {
+    required: ['clientId', 'clientSecret'],
+    params: () => ({ grant_type: 'client_credentials' })
+  },
+  password: {
+    required: ['clientId', 'username', 'password'],
+    params: creds => ({
+      grant_type: 'password',
+      username: creds.username,
+      password: creds.password
+    })
+  },
+  refresh_token: {
+    required: ['clientId', 'refreshToken'],
+    params: creds => ({
+      grant_type: 'refresh_token',
+      refresh_token: creds.refreshToken
+    })
   }
+};
 
-  const now = Math.floor(Date.now() / 1000);
-  const TOKEN_TTL = 300;       // Cognito default
-  const RENEW_BUFFER = 60;     // Renew 1 min early
+/**
+ * ------------------------------------------------------------
+ * CONFIGURATION
+ * ------------------------------------------------------------
+ */
 
-  // Reuse cached token if still valid
-  if (tokenCache[clientId]) {
-    const cached = tokenCache[clientId];
-    if ((now - cached.generatedAt) < (TOKEN_TTL - RENEW_BUFFER)) {
-      context.vars.accessToken = cached.token;
-      return next();
-    }
+/**
+ * Reads a setting from context vars first, then the environment.
+ *
+ * @param {Object} vars - Artillery context vars
+ * @param {string} varName - YAML variable name
+ * @param {string} envName - Environment variable name
+ * @param {*} fallback - Value used when neither is set
+ */
+function readSetting(vars, varName, envName, fallback) {
+  if (vars[varName] !== undefined && vars[varName] !== '') return vars[varName];
+  if (process.env[envName] !== undefined && process.env[envName] !== '') {
+    return process.env[envName];
   }
+  return fallback;
+}
+
+/**
+ * Resolves the token endpoint settings for the current VU.
+ *
+ * @param {Object} vars - Artillery context vars
+ * @returns {{ tokenUrl: string, scopes: string, audience: string, renewBuffer: number,
+ *            maxAttempts: number, retryBaseMs: number }}
+ */
+function resolveAuthConfig(vars) {
+  const rawScopes = readSetting(vars, 'authScopes', 'AUTH_SCOPES', '');
+  const scopes = (Array.isArray(rawScopes) ? rawScopes : String(rawScopes).split(/[\s,]+/))
+    .filter(Boolean)
+    .join(' ');
+
+  const renewBuffer = Number(
+    readSetting(vars, 'authRenewBuffer', 'AUTH_RENEW_BUFFER', DEFAULT_RENEW_BUFFER)
+  );
+
+  return {
+    tokenUrl: readSetting(vars, 'authTokenUrl', 'AUTH_TOKEN_URL', DEFAULT_TOKEN_URL),
+    scopes,
+    audience: readSetting(vars, 'authAudience', 'AUTH_AUDIENCE', ''),
+    renewBuffer: Number.isFinite(renewBuffer) ? renewBuffer : DEFAULT_RENEW_BUFFER,
+    maxAttempts: Math.max(
+      1,
+      Number(readSetting(vars, 'authMaxAttempts', 'AUTH_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS)) ||
+        DEFAULT_MAX_ATTEMPTS
+    ),
+    retryBaseMs: Math.max(
+      0,
+      Number(readSetting(vars, 'authRetryBaseMs', 'AUTH_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS)) || 0
+    )
+  };
+}
+
+/**
+ * ------------------------------------------------------------
+ * TOKEN ENDPOINT
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Sleeps for the given number of milliseconds.
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-  // Request new token
-  const postData =
-    `grant_type=client_credentials&client_id=${encodeURIComponent(clientId)}` +
-    `&client_secret=${encodeURIComponent(clientSecret)}`;
+/**
+ * Performs a single POST to the token endpoint.
+ *
+ * @param {URL} url - Parsed token endpoint
+ * @param {string} postData - Form-encoded request body
+ * @param {Object} headers - Request headers (content type, client auth)
+ * @returns {Promise<{ statusCode: number, body: string }>}
+ */
+function postTokenRequest(url, postData, headers) {
+  const transport = url.protocol === 'http:' ? http : https;
 
   const options = {
-    hostname: 'us-east-2dol8jtcrd.auth.us-east-2.amazoncognito.com',
-    path: '/oauth2/token',
+    hostname: url.hostname,
+    port: url.port || undefined,
+    path: `${url.pathname}${url.search}`,
     method: 'POST',
     headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
+      ...headers,
       'Content-Length': Buffer.byteLength(postData)
     }
   };
 
-  const req = https.request(options, res => {
-    let body = '';
-    res.on('data', d => body += d);
-    res.on('end', () => {
+  return new Promise((resolve, reject) => {
+    const req = transport.request(options, res => {
+      let body = '';
+      res.on('data', d => body += d);
+      res.on('end', () => resolve({ statusCode: res.statusCode, body }));
+    });
+
+    req.on('error', reject);
+    req.write(postData);
+    req.end();
+  });
+}
+
+/**
+ * Builds the form body and headers for a token request.
+ *
+ * @param {Object} authConfig - Resolved endpoint settings
+ * @param {Object} creds - Credential set for the VU
+ * @returns {{ postData: string, headers: Object }}
+ */
+function buildTokenRequest(authConfig, creds) {
+  const strategy = GRANT_STRATEGIES[creds.grantType];
+  const form = new URLSearchParams(strategy.params(creds));
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (creds.clientAuth === 'basic') {
+    const basic = Buffer.from(
+      `${encodeURIComponent(creds.clientId)}:${encodeURIComponent(creds.clientSecret || '')}`
+    ).toString('base64');
+    headers.Authorization = `Basic ${basic}`;
+  } else {
+    form.set('client_id', creds.clientId);
+    if (creds.clientSecret) form.set('client_secret', creds.clientSecret);
+  }
+
+  if (authConfig.scopes) form.set('scope', authConfig.scopes);
+  if (authConfig.audience) form.set('audience', authConfig.audience);
+
+  return { postData: form.toString(), headers };
+}
+
+/**
+ * Requests a new token, retrying throttling (429), server errors (5xx)
+ * and network failures with exponential backoff and jitter.
+ * Other 4xx responses, and a 200 without a usable token, are
+ * treated as permanent and fail immediately.
+ *
+ * @returns {Promise<{ token: string, ttl: number, refreshToken?: string }>}
+ */
+async function fetchToken(authConfig, creds) {
+  const { postData, headers } = buildTokenRequest(authConfig, creds);
+
+  let url;
+  try {
+    url = new URL(authConfig.tokenUrl);
+  } catch (err) {
+    throw new Error(`Invalid token URL: ${authConfig.tokenUrl}`);
+  }
+
+  const label = `${String(creds.clientId).substring(0, 8)}... (${creds.grantType})`;
+  let lastError;
+
+  for (let attempt = 1; attempt <= authConfig.maxAttempts; attempt++) {
+    let retryable = true;
+
+    try {
+      const res = await postTokenRequest(url, postData, headers);
+
       if (res.statusCode === 200) {
-        const parsed = JSON.parse(body);
-        tokenCache[clientId] = {
-          token: parsed.access_token,
-          generatedAt: now
-        };
-        context.vars.accessToken = parsed.access_token;
-        next();
+        let parsed;
+        try {
+          parsed = JSON.parse(res.body);
+        } catch (err) {
+          parsed = undefined;
+        }
+
+        if (parsed && parsed.access_token) {
+          /**
+           * Honour the lifetime reported by the token endpoint.
+           */
+          const ttl = Number(parsed.expires_in) > 0
+            ? Number(parsed.expires_in)
+            : DEFAULT_TOKEN_TTL;
+
+          return { token: parsed.access_token, ttl, refreshToken: parsed.refresh_token };
+        }
+
+        // A malformed 200 does not get better on retry
+        retryable = false;
+        lastError = new Error(parsed === undefined
+          ? 'token response is not valid JSON'
+          : 'token response has no access_token');
       } else {
-        next(new Error(`Auth failed: ${res.statusCode}`));
+        retryable = res.statusCode === 429 || res.statusCode >= 500;
+        lastError = new Error(`status ${res.statusCode}`);
       }
-    });
-  });
+    } catch (err) {
+      lastError = err;
+    }
+
+    if (!retryable || attempt === authConfig.maxAttempts) {
+      throw new Error(
+        `Auth failed for ${label} after ${attempt} attempt(s): ${lastError.message}`
+      );
+    }
+
+    const backoff = authConfig.retryBaseMs * 2 ** (attempt - 1);
+    await delay(backoff + Math.floor(Math.random() * authConfig.retryBaseMs));
+  }
+
+  throw lastError;
+}
+
+/**
+ * Returns a cached token or joins the single in-flight refresh
+ * for this cache key. Only one request per key ever hits the
+ * token endpoint; every waiting VU receives the same result.
+ *
+ * @returns {Promise<string>}
+ */
+function acquireToken(cacheKey, authConfig, creds) {
+  if (!pendingTokens[cacheKey]) {
+    const effectiveCreds = refreshTokens[cacheKey]
+      ? { ...creds, refreshToken: refreshTokens[cacheKey] }
+      : creds;
+
+    pendingTokens[cacheKey] = fetchToken(authConfig, effectiveCreds)
+      .then(({ token, ttl, refreshToken }) => {
+        const now = Math.floor(Date.now() / 1000);
+        tokenCache[cacheKey] = {
+          token,
+          generatedAt: now,
+          expiresAt: now + ttl
+        };
+        if (refreshToken) refreshTokens[cacheKey] = refreshToken;
+        return token;
+      })
+      .finally(() => {
+        delete pendingTokens[cacheKey];
+      });
+  }
+
+  return pendingTokens[cacheKey];
+}
+
+/**
+ * Collects the credential set for the current VU.
+ *
+ * @param {Object} vars - Artillery context vars
+ * @returns {Object} Normalised credentials
+ */
+function resolveCredentials(vars) {
+  return {
+    clientId: vars.clientId,
+    clientSecret: vars.clientSecret,
+    username: vars.username,
+    password: vars.password,
+    refreshToken: vars.refreshToken,
+    grantType: String(
+      readSetting(vars, 'grantType', 'AUTH_GRANT_TYPE', 'client_credentials')
+    ).toLowerCase(),
+    clientAuth: String(readSetting(vars, 'clientAuth', 'AUTH_CLIENT_AUTH', 'body')).toLowerCase()
+  };
+}
+
+/**
+ * Fetches or reuses an OAuth access token.
+ */
+function getAuthToken(requestParams, context, ee, next) {
+  const creds = resolveCredentials(context.vars);
+  const strategy = GRANT_STRATEGIES[creds.grantType];
+
+  if (!strategy) {
+    return next(new Error(`Unsupported OAuth grant type: ${creds.grantType}`));
+  }
+
+  const missing = strategy.required.filter(field => !creds[field]);
+  if (creds.clientAuth === 'basic' && !creds.clientSecret) missing.push('clientSecret');
+
+  if (missing.length) {
+    return next(new Error(`Missing OAuth credentials: ${missing.join(', ')}`));
+  }
+
+  const authConfig = resolveAuthConfig(context.vars);
+  const cacheKey = [
+    creds.clientId,
+    creds.grantType,
+    creds.username || '',
+    creds.clientAuth,
+    authConfig.tokenUrl,
+    authConfig.scopes,
+    authConfig.audience
+  ].join('|');
+  const now = Math.floor(Date.now() / 1000);
+
+  // Reuse cached token if still valid
+  if (tokenCache[cacheKey]) {
+    const cached = tokenCache[cacheKey];
+    if (now < cached.expiresAt - authConfig.renewBuffer) {
+      context.vars.accessToken = cached.token;
+      return next();
+    }
+  }
+
+  // Request new token (or wait for the refresh already in flight).
+  // next() runs outside the promise chain, so errors thrown later
+  // in the request pipeline reach Artillery instead of becoming
+  // unhandled rejections.
+  acquireToken(cacheKey, authConfig, creds)
+    .then(token => ({ token }), err => ({ err }))
+    .then(result => setImmediate(() => {
+      if (result.err) return next(result.err);
 
-  req.on('error', next);
-  req.write(postData);
-  req.end();
+      context.vars.accessToken = result.token;
+      if (refreshTokens[cacheKey]) context.vars.refreshToken = refreshTokens[cacheKey];
+      next();
+    }));
 }
 
 module.exports = { getAuthToken };
@@ -1,136 +1,241 @@
 /**
  * ============================================================
  * ERROR LOGGING PROCESSOR
- * (Local / GitHub → reports/, Fargate → /tmp + S3)
  * ============================================================
  *
  * Design goals:
  *  - Append-only logging (safe under parallel load)
- *  - Deterministic file locations
- *  - Artillery run–aware S3 uploads
+ *  - Run-scoped artifact: <runId>/errors.jsonl via artifact.sink.js
+ *  - One JSON object per line (bodies may contain anything)
  *  - Zero coupling to Artillery internals
+ *
+ * A response is logged when ANY configured criterion matches.
+ * Settings (YAML variables, env fallback):
+ *   errorStatusRanges   ERROR_STATUS_RANGES    "4xx,5xx" | "400-599" | "429,500-599"
+ *                                              (default "400-599")
+ *   errorOnExpectFailure ERROR_ON_EXPECT_FAILURE  expect plugin failures (default true)
+ *   errorLatencyMs      ERROR_LATENCY_MS       Total latency threshold (off by default)
+ *   errorBodyPattern    ERROR_BODY_PATTERN     Regex tested against the response body
+ *   errorBodyMaxBytes   ERROR_BODY_MAX_BYTES   Body truncation (default 2048)
+ *   errorRedactHeaders  ERROR_REDACT_HEADERS   Extra header names to redact
+ *
+ * Responses that failed validateResponse (schema.processor.js,
+ * listed before logError) are always logged with reason "schema".
  */
 
-const fs = require('fs');
-const path = require('path');
-const AWS = require('aws-sdk');
+const sink = require('./artifact.sink');
 
 /**
  * ------------------------------------------------------------
- * ENVIRONMENT DETECTION
+ * ARTIFACTS
  * ------------------------------------------------------------
  */
+const errorArtifact = sink.openArtifact('errors.jsonl');
+
+// console.log('🧭 Error Logger Environment:', sink.isFargate ? 'FARGATE' : 'LOCAL / CI');
+// console.log('📁 Run directory:', sink.getRunDir());
 
 /**
- * True when running inside AWS Fargate.
+ * ------------------------------------------------------------
+ * FAILURE CRITERIA
+ * ------------------------------------------------------------
  */
-const isFargate = Boolean(process.env.AWS_EXECUTION_ENV);
 
 /**
- * S3 bucket used only when running in Fargate.
+ * Headers that are always redacted; any header whose name
+ * contains "token", "secret" or "password" is redacted too.
  */
-const S3_BUCKET =
-  process.env.METRICS_BUCKET || 'artilleryio-test-data-983610474809';
+const REDACTED_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'x-amz-security-token'
+];
+const SENSITIVE_HEADER_PATTERN = /token|secret|password/i;
+
+const DEFAULT_STATUS_RANGES = '400-599';
+const DEFAULT_BODY_MAX_BYTES = 2048;
 
 /**
- * Artillery run ID exposed during `run-fargate`.
+ * Reads a setting from context vars first, then the environment.
+ *
+ * @param {Object} vars - Artillery context vars
+ * @param {string} varName - YAML variable name
+ * @param {string} envName - Environment variable name
+ * @param {*} fallback - Value used when neither is set
  */
-const ARTILLERY_RUN_ID = isFargate
-  ? process.env.ARTILLERY_TEST_RUN_ID
-  : null;
+function readSetting(vars, varName, envName, fallback) {
+  if (vars[varName] !== undefined && vars[varName] !== '') return vars[varName];
+  if (process.env[envName] !== undefined && process.env[envName] !== '') {
+    return process.env[envName];
+  }
+  return fallback;
+}
 
 /**
- * S3 prefix that matches Artillery’s own artifact layout.
+ * Splits "a, b" strings and YAML lists into trimmed items.
  */
-const S3_RUN_PREFIX = ARTILLERY_RUN_ID
-  ? `test-runs/${ARTILLERY_RUN_ID}`
-  : null;
+function toList(value) {
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
 
 /**
- * ------------------------------------------------------------
- * FILESYSTEM PATHS
- * ------------------------------------------------------------
+ * Parses status ranges into [min, max] pairs.
+ *   "5xx" → [500, 599], "400-499" → [400, 499], "429" → [429, 429]
+ *
+ * @param {string|Array} spec - Range specification
+ * @returns {Array<Array<number>>}
  */
+function parseStatusRanges(spec) {
+  return toList(spec).map(token => {
+    let match = /^([1-5])xx$/i.exec(token);
+    if (match) return [Number(match[1]) * 100, Number(match[1]) * 100 + 99];
+
+    match = /^(\d{1,3})\s*-\s*(\d{1,3})$/.exec(token);
+    if (match) return [Number(match[1]), Number(match[2])];
+
+    if (/^\d{1,3}$/.test(token)) return [Number(token), Number(token)];
+
+    throw new Error(`Invalid errorStatusRanges entry: "${token}"`);
+  });
+}
 
 /**
- * Project root (used only outside Fargate).
+ * Parsed criteria, cached per raw settings.
  */
-const PROJECT_ROOT = path.resolve(__dirname, '..');
+const criteriaCache = new Map();
 
 /**
- * Error log directory:
- *  - Fargate → /tmp/artillery_results
- *  - Local / CI → ./reports
+ * Resolves the failure criteria for the current VU.
+ *
+ * @param {Object} vars - Artillery context vars
+ * @throws {Error} On invalid status ranges or body pattern
  */
-const RESULTS_DIR = isFargate
-  ? '/tmp/artillery_results'
-  : path.join(PROJECT_ROOT, 'reports');
+function resolveErrorCriteria(vars) {
+  const raw = {
+    statusRanges: readSetting(vars, 'errorStatusRanges', 'ERROR_STATUS_RANGES', DEFAULT_STATUS_RANGES),
+    onExpectFailure: readSetting(vars, 'errorOnExpectFailure', 'ERROR_ON_EXPECT_FAILURE', true),
+    latencyMs: readSetting(vars, 'errorLatencyMs', 'ERROR_LATENCY_MS', null),
+    bodyPattern: readSetting(vars, 'errorBodyPattern', 'ERROR_BODY_PATTERN', null),
+    bodyMaxBytes: readSetting(vars, 'errorBodyMaxBytes', 'ERROR_BODY_MAX_BYTES', DEFAULT_BODY_MAX_BYTES),
+    redactHeaders: readSetting(vars, 'errorRedactHeaders', 'ERROR_REDACT_HEADERS', '')
+  };
+
+  const cacheKey = JSON.stringify(raw);
+  if (criteriaCache.has(cacheKey)) return criteriaCache.get(cacheKey);
+
+  const criteria = {
+    statusRanges: parseStatusRanges(raw.statusRanges),
+    onExpectFailure: raw.onExpectFailure !== false && raw.onExpectFailure !== 'false',
+    latencyMs: raw.latencyMs === null ? null : Number(raw.latencyMs),
+    bodyPattern: raw.bodyPattern ? new RegExp(raw.bodyPattern) : null,
+    bodyMaxBytes: Number(raw.bodyMaxBytes),
+    redactHeaders: new Set(
+      REDACTED_HEADERS.concat(toList(raw.redactHeaders).map(h => h.toLowerCase()))
+    )
+  };
+
+  criteriaCache.set(cacheKey, criteria);
+  return criteria;
+}
 
 /**
- * Ensure results directory exists.
+ * ------------------------------------------------------------
+ * RECORD HELPERS
+ * ------------------------------------------------------------
  */
-if (!fs.existsSync(RESULTS_DIR)) {
-  fs.mkdirSync(RESULTS_DIR, { recursive: true });
-}
 
 /**
- * Error log file path.
+ * Returns a copy of the headers with secrets replaced.
+ *
+ * @param {Object} headers - Request or response headers
+ * @param {Set<string>} names - Lower-case names to redact
  */
-const ERROR_LOG_FILE = path.join(RESULTS_DIR, 'error.log');
+function redactHeaders(headers, names) {
+  const result = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    const sensitive =
+      names.has(name.toLowerCase()) || SENSITIVE_HEADER_PATTERN.test(name);
+    result[name] = sensitive ? '[REDACTED]' : value;
+  });
+  return result;
+}
 
 /**
- * ------------------------------------------------------------
- * DIAGNOSTICS
- * ------------------------------------------------------------
+ * Serializes a body and truncates it to `maxBytes`.
+ *
+ * @returns {{ body: string|null, truncated: boolean }}
  */
+function truncateBody(body, maxBytes) {
+  if (body === undefined || body === null) return { body: null, truncated: false };
 
-// console.log('🧭 Error Logger Environment:', isFargate ? 'FARGATE' : 'LOCAL / CI');
-// console.log('📁 Error log directory:', RESULTS_DIR);
-// console.log('📝 Error log file:', ERROR_LOG_FILE);
+  const text = typeof body === 'string' || Buffer.isBuffer(body)
+    ? String(body)
+    : JSON.stringify(body);
 
-// if (isFargate) {
-//   console.log('🧪 ARTILLERY_TEST_RUN_ID:', ARTILLERY_RUN_ID);
-//   console.log('📦 S3 Upload Prefix:', S3_RUN_PREFIX);
-// }
+  const bytes = Buffer.from(text);
+  if (bytes.length <= maxBytes) return { body: text, truncated: false };
 
-/**
- * ------------------------------------------------------------
- * S3 CLIENT (Fargate only)
- * ------------------------------------------------------------
- */
-const s3 = isFargate ? new AWS.S3({ region: 'us-east-1' }) : null;
+  return { body: bytes.subarray(0, maxBytes).toString(), truncated: true };
+}
 
 /**
- * ------------------------------------------------------------
- * S3 UPLOAD HELPER
- * ------------------------------------------------------------
+ * Returns the expect plugin results recorded since the last
+ * call for this VU (the plugin appends one entry per request).
+ *
+ * @param {Object} context - Artillery context
  */
+function newExpectations(context) {
+  const all = context.expectations || [];
+  const seen = context._errorLogExpectations || 0;
+  context._errorLogExpectations = all.length;
+  return all.slice(seen);
+}
 
 /**
- * Uploads the error log to S3 under the Artillery run folder.
- * This is called after each append to guarantee durability.
+ * Evaluates every criterion; returns the reasons that matched.
  *
- * @param {string} localPath - Absolute path to the error log file.
+ * @param {Object} criteria - Resolved failure criteria
+ * @param {Object} response - Artillery response object
+ * @param {Object} context - Artillery context
+ * @returns {string[]}
  */
-async function flushErrorLogToS3(localPath) {
-  if (!isFargate || !s3 || !S3_RUN_PREFIX) return;
+function failureReasons(criteria, response, context) {
+  const reasons = [];
+  const status = response.statusCode;
 
-  try {
-    const data = fs.readFileSync(localPath);
-    const s3Key = `${S3_RUN_PREFIX}/error.log`;
-
-    await s3
-      .putObject({
-        Bucket: S3_BUCKET,
-        Key: s3Key,
-        Body: data
-      })
-      .promise();
-
-    // console.log(`✅ Error log flushed to s3://${S3_BUCKET}/${s3Key}`);
-  } catch (err) {
-    console.error('❌ Failed to flush error log to S3:', err);
+  if (criteria.statusRanges.some(([min, max]) => status >= min && status <= max)) {
+    reasons.push(`status:${status}`);
+  }
+
+  const failedExpectations = newExpectations(context)
+    .flatMap(entry => entry.results || [])
+    .filter(result => !result.ok);
+  if (criteria.onExpectFailure && failedExpectations.length > 0) {
+    failedExpectations.forEach(result => reasons.push(`expect:${result.type}`));
+  }
+
+  const latency = response.timings && response.timings.phases
+    ? response.timings.phases.total
+    : undefined;
+  if (criteria.latencyMs !== null && latency !== undefined && latency > criteria.latencyMs) {
+    reasons.push(`latency:${Math.round(latency)}ms`);
+  }
+
+  if (criteria.bodyPattern) {
+    const body = typeof response.body === 'object'
+      ? JSON.stringify(response.body)
+      : String(response.body || '');
+    if (criteria.bodyPattern.test(body)) reasons.push('body:pattern');
   }
+
+  if (response.schemaErrors) reasons.push('schema');
+
+  return reasons;
 }
 
 /**
@@ -140,7 +245,7 @@ async function flushErrorLogToS3(localPath) {
  */
 
 /**
- * Logs HTTP errors in an append-only format.
+ * Logs failed requests as JSON lines.
  *
  * @param {Object} request - Artillery request object
  * @param {Object} response - Artillery response object
@@ -151,29 +256,50 @@ async function flushErrorLogToS3(localPath) {
 function logError(request, response, context, ee, next) {
   // console.log(`🌐 Request URL: ${request.url}`);
 
-  if (response.statusCode >= 200) {
-    const logLine =
-      [
-        new Date().toISOString(),
-        request.method,
-        request.url,
-        response.statusCode,
-        typeof response.body === 'object'
-          ? JSON.stringify(response.body)
-          : response.body
-      ].join(' | ') + '\n';
-
-    /**
-     * Append-only write is safe for parallel workers.
-     */
-    fs.appendFileSync(ERROR_LOG_FILE, logLine, 'utf8');
-
-    /**
-     * Immediately flush to S3 when running in Fargate.
-     */
-    flushErrorLogToS3(ERROR_LOG_FILE).catch(() => {});
+  let criteria;
+  try {
+    criteria = resolveErrorCriteria(context.vars);
+  } catch (err) {
+    // Invalid status ranges / body pattern
+    return next(err);
   }
 
+  const reasons = failureReasons(criteria, response, context);
+
+  if (reasons.length === 0) return next();
+
+  const requestBody = truncateBody(
+    request.json !== undefined ? request.json : request.body,
+    criteria.bodyMaxBytes
+  );
+  const responseBody = truncateBody(response.body, criteria.bodyMaxBytes);
+
+  const record = {
+    timestamp: new Date().toISOString(),
+    reasons,
+    name: request.name || `${request.method} ${request.url}`,
+    method: request.method,
+    url: request.url,
+    statusCode: response.statusCode,
+    latencyMs: response.timings && response.timings.phases
+      ? response.timings.phases.total
+      : null,
+    vuId: context._uid,
+    scenario: context.scenario ? context.scenario.name || null : null,
+    requestHeaders: redactHeaders(request.headers, criteria.redactHeaders),
+    requestBody: requestBody.body,
+    requestBodyTruncated: requestBody.truncated,
+    responseHeaders: redactHeaders(response.headers, criteria.redactHeaders),
+    responseBody: responseBody.body,
+    responseBodyTruncated: responseBody.truncated,
+    ...(response.schemaErrors ? { schemaErrors: response.schemaErrors } : {})
+  };
+
+  /**
+   * Append-only write is safe for parallel workers.
+   */
+  errorArtifact.write(JSON.stringify(record) + '\n');
+
   return next();
 }
 
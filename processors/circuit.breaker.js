@@ -0,0 +1,281 @@
+/**
+ * ============================================================
+ * CIRCUIT BREAKER
+ * ============================================================
+ * Rolling-window error-rate breaker shared by every
+ * `logResponse` implementation.
+ *
+ * A breaker trips when, for a tracked key:
+ *  - the error rate (status >= 400) over the last
+ *    `breakerWindowSec` seconds reaches its threshold, once
+ *    at least `minSamples` responses were seen, or
+ *  - `breakerConsecutive5xx` 5xx responses arrive in a row
+ *
+ * Keys:
+ *  - "*"            every request of this worker
+ *  - <request name> only when listed in `breakerThresholds`
+ *
+ * Actions (`breakerAction`):
+ *  - log    (default) warn and emit counters; re-arms after
+ *           `breakerCooldownSec`
+ *  - stop   graceful stop through lifecycle.requestStop
+ *  - pause  new VUs are flagged with skipMe for
+ *           `breakerCooldownSec`, then traffic resumes. Needs the
+ *           skipIfStopping step and `ifTrue: "not skipMe"` on the
+ *           requests (see app1/scripts/load-test.yml); without
+ *           them pause only logs
+ *
+ * Settings come from `config.variables`:
+ *   breakerWindowSec: 30
+ *   breakerMinSamples: 50
+ *   breakerErrorRate: 0.5
+ *   breakerConsecutive5xx: 25
+ *   breakerThresholds:
+ *     POST_Test: { errorRate: 0.2, minSamples: 20 }
+ *   breakerAction: "pause"
+ *   breakerCooldownSec: 30
+ *
+ * State is per Artillery worker; every worker trips on its
+ * own share of the traffic.
+ */
+
+const lifecycle = require('./lifecycle');
+
+/**
+ * ------------------------------------------------------------
+ * DEFAULTS
+ * ------------------------------------------------------------
+ */
+const DEFAULT_WINDOW_SEC = 30;
+const DEFAULT_MIN_SAMPLES = 50;
+const DEFAULT_ERROR_RATE = 0.5;
+const DEFAULT_COOLDOWN_SEC = 30;
+const ACTIONS = ['log', 'stop', 'pause'];
+
+/**
+ * ------------------------------------------------------------
+ * SETTINGS
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Parsed settings, cached per raw variables.
+ */
+const settingsCache = new Map();
+
+/**
+ * Resolves breaker settings from context vars.
+ *
+ * @param {Object} vars - Artillery context vars
+ * @throws {Error} On an unknown breakerAction
+ */
+function resolveSettings(vars) {
+  const raw = {
+    windowSec: vars.breakerWindowSec,
+    minSamples: vars.breakerMinSamples,
+    errorRate: vars.breakerErrorRate,
+    consecutive5xx: vars.breakerConsecutive5xx,
+    thresholds: vars.breakerThresholds,
+    action: vars.breakerAction,
+    cooldownSec: vars.breakerCooldownSec
+  };
+
+  const cacheKey = JSON.stringify(raw);
+  if (settingsCache.has(cacheKey)) return settingsCache.get(cacheKey);
+
+  const minSamples = Number(raw.minSamples) || DEFAULT_MIN_SAMPLES;
+  const errorRate = raw.errorRate !== undefined ? Number(raw.errorRate) : DEFAULT_ERROR_RATE;
+  const action = raw.action || 'log';
+
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown breakerAction "${action}" (expected ${ACTIONS.join(' | ')})`);
+  }
+
+  /**
+   * key → { errorRate, minSamples }; "*" is always tracked.
+   */
+  const thresholds = { '*': { errorRate, minSamples } };
+  Object.entries(raw.thresholds || {}).forEach(([name, t]) => {
+    thresholds[name] = {
+      errorRate: t.errorRate !== undefined ? Number(t.errorRate) : errorRate,
+      minSamples: t.minSamples !== undefined ? Number(t.minSamples) : minSamples
+    };
+  });
+
+  const settings = {
+    windowSec: Number(raw.windowSec) || DEFAULT_WINDOW_SEC,
+    consecutive5xx: Number(raw.consecutive5xx) || 0,
+    thresholds,
+    action,
+    cooldownMs: (Number(raw.cooldownSec) || DEFAULT_COOLDOWN_SEC) * 1000
+  };
+
+  settingsCache.set(cacheKey, settings);
+  return settings;
+}
+
+/**
+ * ------------------------------------------------------------
+ * SLIDING WINDOWS
+ * ------------------------------------------------------------
+ */
+
+/**
+ * One-second buckets per key:
+ *   "<windowSec>:<key>" → [{ sec, total, errors }, ...]
+ * Memory is bounded by windowSec buckets per key.
+ */
+const windows = new Map();
+
+/**
+ * Records one response and returns the window totals.
+ *
+ * @param {string} key - Tracked key
+ * @param {number} windowSec - Window length
+ * @param {boolean} isError - Whether the response failed
+ * @returns {{ total: number, errors: number }}
+ */
+function recordInWindow(key, windowSec, isError) {
+  const windowKey = `${windowSec}:${key}`;
+  if (!windows.has(windowKey)) {
+    windows.set(
+      windowKey,
+      Array.from({ length: windowSec }, () => ({ sec: -1, total: 0, errors: 0 }))
+    );
+  }
+  const buckets = windows.get(windowKey);
+
+  const sec = Math.floor(Date.now() / 1000);
+  const bucket = buckets[sec % windowSec];
+  if (bucket.sec !== sec) {
+    bucket.sec = sec;
+    bucket.total = 0;
+    bucket.errors = 0;
+  }
+
+  bucket.total++;
+  if (isError) bucket.errors++;
+
+  let total = 0;
+  let errors = 0;
+  buckets.forEach(b => {
+    if (b.sec > sec - windowSec) {
+      total += b.total;
+      errors += b.errors;
+    }
+  });
+
+  return { total, errors };
+}
+
+/**
+ * ------------------------------------------------------------
+ * BREAKER STATE
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Consecutive 5xx responses seen by this worker.
+ */
+let consecutive5xx = 0;
+
+/**
+ * key → timestamp until which a tripped key stays quiet.
+ */
+const trippedUntil = new Map();
+
+/**
+ * Arrivals are paused until this timestamp (action: pause).
+ */
+let pausedUntil = 0;
+
+/**
+ * Responses already observed; a scenario may list the hook
+ * twice ("logResponse" and "metrics.logResponse").
+ */
+const observed = new WeakSet();
+
+/**
+ * @returns {boolean} True while the breaker pauses arrivals.
+ */
+function isPaused() {
+  return Date.now() < pausedUntil;
+}
+
+/**
+ * Applies the configured action for a trip.
+ *
+ * @param {Object} settings - Resolved settings
+ * @param {string} key - Tripped key
+ * @param {string} reason - Human readable reason
+ * @param {Object} ee - Artillery event emitter
+ * @param {Object} vars - Artillery context vars
+ */
+function trip(settings, key, reason, ee, vars) {
+  const now = Date.now();
+  if ((trippedUntil.get(key) || 0) > now) return;
+  trippedUntil.set(key, now + settings.cooldownMs);
+
+  ee.emit('counter', 'breaker.tripped', 1);
+  if (key !== '*') ee.emit('counter', `breaker.tripped.${key}`, 1);
+
+  console.warn(`🔌 Circuit breaker tripped (${settings.action}): ${reason}`);
+
+  if (settings.action === 'pause') {
+    pausedUntil = now + settings.cooldownMs;
+  } else if (settings.action === 'stop') {
+    lifecycle
+      .requestStop(`Circuit breaker: ${reason}`, {
+        events: ee,
+        counter: 'breaker.stopped',
+        action: vars.stopAction
+      })
+      .catch(err => console.error('❌ Graceful stop failed:', err));
+  }
+}
+
+/**
+ * Feeds one response into the breaker.
+ *
+ * @param {Object} requestParams - Artillery request params
+ * @param {Object} response - Artillery response object
+ * @param {Object} userContext - Artillery context
+ * @param {Object} ee - Artillery event emitter
+ * @throws {Error} On invalid breaker settings (hooks pass it to next)
+ */
+function observe(requestParams, response, userContext, ee) {
+  if (observed.has(response)) return;
+  observed.add(response);
+
+  const settings = resolveSettings(userContext.vars);
+  const status = response.statusCode;
+  const isError = status >= 400;
+  const name = requestParams.name || 'UNNAMED';
+
+  [...new Set(['*', name])].forEach(key => {
+    const threshold = settings.thresholds[key];
+    if (!threshold) return;
+
+    const { total, errors } = recordInWindow(key, settings.windowSec, isError);
+    if (total >= threshold.minSamples && errors / total >= threshold.errorRate) {
+      const rate = ((errors / total) * 100).toFixed(1);
+      trip(
+        settings,
+        key,
+        `${key === '*' ? 'all requests' : key}: ${rate}% errors over ${total} responses in ${settings.windowSec}s`,
+        ee,
+        userContext.vars
+      );
+    }
+  });
+
+  consecutive5xx = status >= 500 ? consecutive5xx + 1 : 0;
+  if (settings.consecutive5xx && consecutive5xx >= settings.consecutive5xx) {
+    trip(settings, '5xx', `${consecutive5xx} consecutive 5xx responses`, ee, userContext.vars);
+  }
+}
+
+module.exports = {
+  observe,
+  isPaused
+};
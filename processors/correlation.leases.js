@@ -0,0 +1,154 @@
+/**
+ * ============================================================
+ * CORRELATION LEASES
+ * ============================================================
+ * Lease bookkeeping for the UNIQUE correlation mode, shared by
+ * the Artillery `correlate` hook and PerformanceFramework.extract
+ * (k6). Pure CommonJS without Node built-ins.
+ *
+ * A lease binds an item key to a holder (Artillery VU uid, k6
+ * VU) inside a pool (usually the correlation target) until the
+ * holder releases it or the TTL expires. The TTL (default 300 s,
+ * leaseTtlSec: 0 = until released) only guards against holders
+ * that never release (failed VUs), so items are not lost for the
+ * rest of the run.
+ *
+ * Scope:
+ *   Artillery - one store per worker, shared by its active VUs
+ *   k6        - one store per VU (VUs share no memory)
+ */
+
+const DEFAULT_LEASE_TTL_SEC = 300;
+
+/**
+ * Creates a lease store.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.now=Date.now] - Clock
+ * @returns {Object} Store API
+ */
+function createLeaseStore(options) {
+  const { now = Date.now } = options || {};
+
+  /**
+   * pool → Map(key → { holder, expiresAt })
+   */
+  const pools = new Map();
+
+  const poolOf = name => {
+    if (!pools.has(name)) pools.set(name, new Map());
+    return pools.get(name);
+  };
+
+  const isLive = entry => entry && (!entry.expiresAt || entry.expiresAt > now());
+
+  return {
+    /**
+     * Leases `key` to `holder` unless another holder has it.
+     *
+     * @param {string} pool - Pool name
+     * @param {string} key - Item key
+     * @param {string|number} holder - Lease holder
+     * @param {number} [ttlMs=0] - Expiry, 0 = until released
+     * @returns {boolean} true when the holder now owns the lease
+     */
+    acquire(pool, key, holder, ttlMs = 0) {
+      const leases = poolOf(pool);
+      const entry = leases.get(key);
+      if (isLive(entry) && entry.holder !== holder) return false;
+
+      leases.set(key, { holder, expiresAt: ttlMs > 0 ? now() + ttlMs : 0 });
+      return true;
+    },
+
+    /**
+     * Leases one item to `holder`, handing back the item it held
+     * in `pool` before (one lease per pool and holder).
+     *
+     * @param {string} pool - Pool name
+     * @param {string|number} holder - Lease holder
+     * @param {Array<string>} keys - Item keys
+     * @param {number} [ttlMs=0] - Expiry, 0 = until released
+     * @param {number} [offset=0] - Index to start scanning at
+     * @returns {number} Leased index, or -1 when every item is held
+     */
+    acquireNext(pool, holder, keys, ttlMs = 0, offset = 0) {
+      this.release(holder, pool);
+
+      for (let i = 0; i < keys.length; i++) {
+        const index = (offset + i) % keys.length;
+        if (this.acquire(pool, keys[index], holder, ttlMs)) return index;
+      }
+      return -1;
+    },
+
+    /**
+     * Releases every lease of a holder, optionally in one pool.
+     *
+     * @param {string|number} holder - Lease holder
+     * @param {string} [pool] - Restrict to this pool
+     * @returns {number} Released leases
+     */
+    release(holder, pool) {
+      let released = 0;
+      pools.forEach((leases, name) => {
+        if (pool !== undefined && name !== pool) return;
+        leases.forEach((entry, key) => {
+          if (entry.holder === holder) {
+            leases.delete(key);
+            released++;
+          }
+        });
+      });
+      return released;
+    },
+
+    /**
+     * @returns {boolean} Whether `key` is leased to anyone
+     */
+    isLeased(pool, key) {
+      return isLive(poolOf(pool).get(key));
+    },
+
+    /**
+     * @returns {number} Live leases in a pool
+     */
+    size(pool) {
+      let live = 0;
+      poolOf(pool).forEach(entry => {
+        if (isLive(entry)) live++;
+      });
+      return live;
+    }
+  };
+}
+
+/**
+ * Lease TTL in ms from a `leaseTtlSec` setting: unset uses the
+ * default, 0 keeps leases until released.
+ *
+ * @param {number|string} [seconds] - Setting value
+ * @returns {number}
+ */
+function leaseTtlMs(seconds) {
+  if (seconds === undefined || seconds === null || seconds === '') return DEFAULT_LEASE_TTL_SEC * 1000;
+
+  const value = Number(seconds);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`Invalid leaseTtlSec "${seconds}" (expected seconds >= 0)`);
+  }
+  return value * 1000;
+}
+
+/**
+ * Stable string key for an item (objects are JSON-encoded).
+ */
+function leaseKey(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+module.exports = {
+  createLeaseStore,
+  leaseKey,
+  leaseTtlMs
+};
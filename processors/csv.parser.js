@@ -0,0 +1,171 @@
+/**
+ * ============================================================
+ * CSV PARSER
+ * ============================================================
+ * RFC 4180 parsing for data pools.
+ *
+ * Handles:
+ *  - Quoted fields with embedded delimiters and line breaks
+ *  - Escaped quotes ("")
+ *  - CRLF / LF line endings and a leading BOM
+ *  - Optional header row → objects keyed by column name
+ *  - Optional type coercion (numbers, booleans, null)
+ */
+
+const { compilePredicate } = require('./json.path');
+
+/**
+ * Splits CSV text into rows of string fields.
+ * Unquoted fields are trimmed when `trim` is true;
+ * quoted fields are always kept verbatim.
+ *
+ * @param {string} text - Raw CSV content
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @param {boolean} [options.trim=true] - Trim unquoted fields
+ * @returns {string[][]} Parsed rows (blank lines dropped)
+ */
+function parseRows(text, { delimiter = ',', trim = true } = {}) {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+
+  let row = [];
+  let field = '';
+  let quoted = false;      // current field started with a quote
+  let inQuotes = false;    // currently inside a quoted section
+
+  const endField = () => {
+    row.push(quoted || !trim ? field : field.trim());
+    field = '';
+    quoted = false;
+  };
+
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && field.trim() === '') {
+      field = '';
+      quoted = true;
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      endField();
+    } else if (ch === '\r' && input[i + 1] === '\n') {
+      endRow();
+      i++;
+    } else if (ch === '\n' || ch === '\r') {
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV parse error: unterminated quoted field');
+  }
+
+  if (field !== '' || quoted || row.length) endRow();
+
+  return rows;
+}
+
+/**
+ * Converts a CSV string field to a number, boolean or null
+ * when it unambiguously looks like one.
+ *
+ * @param {string} value - Raw field
+ * @returns {*} Coerced value
+ */
+function coerceValue(value) {
+  if (typeof value !== 'string') return value;
+
+  const lower = value.toLowerCase();
+  if (lower === 'true') return true;
+  if (lower === 'false') return false;
+  if (lower === 'null') return null;
+
+  if (value !== '' && /^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value)) {
+    // Keep identifiers with leading zeros (zip codes, SKUs) as strings
+    if (/^-?0\d/.test(value)) return value;
+    return Number(value);
+  }
+
+  return value;
+}
+
+/**
+ * Parses CSV text into records.
+ *
+ * @param {string} text - Raw CSV content
+ * @param {Object} [options]
+ * @param {boolean} [options.header=false] - First row holds column names
+ * @param {boolean} [options.coerce=false] - Apply coerceValue to every field
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @returns {{ columns: string[]|null, records: Array<Object|Array> }}
+ *   Objects when `header` is true, arrays otherwise.
+ */
+function parseCsv(text, { header = false, coerce = false, delimiter = ',' } = {}) {
+  const rows = parseRows(text, { delimiter });
+  const convert = coerce ? coerceValue : v => v;
+
+  if (!header) {
+    return { columns: null, records: rows.map(r => r.map(convert)) };
+  }
+
+  const [columns = [], ...body] = rows;
+
+  const records = body
+    // Concatenated files repeat the header row; drop the repeats
+    .filter(r => r.join('\u0000') !== columns.join('\u0000'))
+    .map(r => {
+      const record = {};
+      columns.forEach((col, i) => {
+        record[col] = convert(r[i]);
+      });
+      return record;
+    });
+
+  return { columns, records };
+}
+
+/**
+ * Compiles a row filter expression with the json.path.js
+ * predicate grammar (no eval). Column names are read as bare
+ * names, `@` is the whole row:
+ *   "stock > 0 && category == 'Electronics'"
+ *   "@[0] =~ /^PROD-/"            rows without a header
+ *   "@['unit price'] <= 100"      names that are not identifiers
+ *
+ * @param {string} expression - Predicate
+ * @returns {Function} (record) → boolean
+ * @throws {Error} When the expression is invalid
+ */
+function compileFilter(expression) {
+  return compilePredicate(expression);
+}
+
+module.exports = {
+  parseRows,
+  parseCsv,
+  coerceValue,
+  compileFilter
+};
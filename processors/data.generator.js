@@ -5,18 +5,54 @@
  * Generates dynamic test data for payloads and search.
  */
 
-const crypto = require('crypto');
+const os = require('os');
+const { threadId } = require('worker_threads');
+const sink = require('./artifact.sink');
+const { createIdGenerator } = require('./id.generator');
+
+/**
+ * Identity of this worker thread. Threads are numbered per
+ * process, so on Fargate (every task starts at thread 1) the
+ * host name is added.
+ */
+const WORKER_ID = sink.isFargate ? `${os.hostname()}:${threadId}` : threadId;
+
+/**
+ * Id generators per settings (see id.generator.js).
+ */
+const idGenerators = {};
+
+/**
+ * Returns this worker's id generator for the VU's settings:
+ *   idPrefix - default "P-"
+ *   idStyle  - ulid (default) | compact
+ *   idLength - minimum length without prefix
+ *
+ * @param {Object} vars - Artillery context vars
+ */
+function idGenerator(vars) {
+  const prefix = vars.idPrefix ?? 'P-';
+  const style = vars.idStyle || 'ulid';
+  const length = Number(vars.idLength) || 0;
+  const key = `${prefix}|${style}|${length}`;
+
+  return idGenerators[key] || (idGenerators[key] = createIdGenerator({
+    runId: sink.getRunId(),
+    workerId: WORKER_ID,
+    prefix,
+    style,
+    length
+  }));
+}
 
 /**
  * Generates unique product data for create APIs.
  */
 function generateProductData(userContext, events, done) {
-  const id = crypto.randomUUID().substring(0, 5);
-
   const names = ['James', 'Mary', 'Robert', 'Patricia', 'John'];
   const cities = ['New York', 'Los Angeles', 'Chicago'];
 
-  userContext.vars.productId = `P-${id}`;
+  userContext.vars.productId = idGenerator(userContext.vars).next();
   userContext.vars.fullName = names[Math.floor(Math.random() * names.length)];
   userContext.vars.city = cities[Math.floor(Math.random() * cities.length)];
   userContext.vars.zipCode = String(Math.floor(10000 + Math.random() * 90000));
@@ -34,7 +70,61 @@ function generateRandomData(userContext, events, done) {
   done();
 }
 
+/**
+ * Fills vars from a faker-backed data schema (see data.schema.js).
+ *
+ * Supported YAML variables:
+ *   dataSchema - Schema file (.json / .yml, relative to project root)
+ *   dataTarget - Optional variable receiving the whole record
+ *                (e.g. postData); otherwise each top-level field
+ *                becomes a variable
+ *   dataSeed   - Seed for reproducible payloads (env: DATA_SEED)
+ *
+ * `dataWorker` and `dataSeq` are set to the worker id and record
+ * number, so a failing payload can be regenerated from
+ * dataSeed + dataWorker + dataSeq.
+ */
+function generateFromSchema(userContext, events, done) {
+  const vars = userContext.vars;
+
+  if (!vars.dataSchema) {
+    return done(new Error('generateFromSchema requires the dataSchema variable'));
+  }
+
+  const rawSeed = vars.dataSeed ?? process.env.DATA_SEED;
+  const seed = rawSeed === undefined || rawSeed === '' ? null : Number(rawSeed);
+
+  let result;
+  try {
+    /**
+     * Loaded on first use, so scripts without a schema
+     * do not need @faker-js/faker installed.
+     */
+    const { loadSchema, generateRecord } = require('./data.schema');
+
+    result = generateRecord(loadSchema(vars.dataSchema), {
+      key: vars.dataSchema,
+      seed,
+      worker: WORKER_ID,
+      runId: sink.getRunId()
+    });
+  } catch (err) {
+    return done(err);
+  }
+
+  if (vars.dataTarget) {
+    vars[vars.dataTarget] = result.record;
+  } else {
+    Object.assign(vars, result.record);
+  }
+  vars.dataWorker = WORKER_ID;
+  vars.dataSeq = result.seq;
+
+  done();
+}
+
 module.exports = {
   generateProductData,
-  generateRandomData
+  generateRandomData,
+  generateFromSchema
 };
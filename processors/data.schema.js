@@ -0,0 +1,291 @@
+/**
+ * ============================================================
+ * DATA SCHEMA
+ * ============================================================
+ * Schema-driven test data backed by @faker-js/faker.
+ *
+ * Schema (JSON or YAML):
+ *   fields:
+ *     productId: { type: "id", style: "compact", prefix: "P-" }
+ *     fullName:  { faker: "person.fullName" }
+ *     city:      { faker: "location.city" }
+ *     zipCode:   { format: "#####" }              # # digit, ? letter, * either
+ *     price:     { type: "int", min: 1000, max: 9999 }
+ *     rating:    { type: "float", min: 1, max: 5, precision: 0.1 }
+ *     category:  { enum: ["Electronics", "Books", "Toys"] }
+ *     email:     { faker: "internet.email", unique: true }
+ *     label:     { fake: "{{commerce.productAdjective}} {{commerce.product}}" }
+ *     address:
+ *       fields:
+ *         street: { faker: "location.streetAddress" }
+ *         country: { value: "US" }
+ *
+ * Field keys:
+ *   faker    - "<module>.<method>", optional `args` (array or object)
+ *   fake     - faker.helpers.fake template
+ *   format   - faker.helpers.replaceSymbols pattern
+ *   type     - int | float | boolean | date (with min / max / precision)
+ *              | id: id.generator.js id (style, length), unique
+ *              across workers and runs, unlike faker values
+ *   enum     - pick one value
+ *   value    - constant
+ *   fields   - nested object
+ *   prefix / suffix - wrap string output
+ *   unique   - never repeat a value within this worker; true keeps
+ *              the last 100000 values per field, a number sets
+ *              that window (memory stays bounded on long runs)
+ *
+ * Determinism: with a seed, record N of a worker is always
+ * generated from faker.seed([seed, worker, N]), so the same seed
+ * reproduces the same payload sequence. Worker ids that are not
+ * integers ("host:thread" on Fargate) are hashed. `id` fields
+ * follow the worker's counter instead (ulid ids carry the time).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { faker } = require('@faker-js/faker');
+const { createIdGenerator, fnv1a } = require('./id.generator');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const MAX_UNIQUE_ATTEMPTS = 100;
+const DEFAULT_UNIQUE_WINDOW = 100000;
+
+/**
+ * ------------------------------------------------------------
+ * SCHEMA LOADING
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Loaded schemas by file path.
+ */
+const schemaCache = {};
+
+/**
+ * Loads a JSON or YAML schema file (relative to the project root).
+ * js-yaml is only required for .yml / .yaml files.
+ *
+ * @param {string} file - Schema path
+ * @returns {Object}
+ */
+function loadSchema(file) {
+  if (schemaCache[file]) return schemaCache[file];
+
+  const schemaPath = path.resolve(PROJECT_ROOT, file);
+  const text = fs.readFileSync(schemaPath, 'utf8');
+  const ext = path.extname(schemaPath).toLowerCase();
+
+  let schema;
+  if (ext === '.yml' || ext === '.yaml') {
+    let yaml;
+    try {
+      yaml = require('js-yaml');
+    } catch (err) {
+      throw new Error(`YAML schema ${file} requires the js-yaml package`);
+    }
+    schema = yaml.load(text);
+  } else {
+    schema = JSON.parse(text);
+  }
+
+  if (!schema || typeof schema.fields !== 'object') {
+    throw new Error(`Data schema ${file} has no "fields" map`);
+  }
+
+  schemaCache[file] = schema;
+  return schema;
+}
+
+/**
+ * ------------------------------------------------------------
+ * FIELD GENERATION
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Recent values of `unique` fields: path → Set (insertion order,
+ * oldest evicted first).
+ */
+const uniqueValues = {};
+
+/**
+ * Id generators of `id` fields: path|run|worker → generator.
+ */
+const idGenerators = {};
+
+/**
+ * Next id for an `id` field (see id.generator.js).
+ *
+ * @param {Object} spec - Field spec (style, length)
+ * @param {string} fieldPath - Dotted field path
+ * @param {Object} identity - { runId, worker } of this record
+ */
+function idValue(spec, fieldPath, identity) {
+  const key = `${fieldPath}|${identity.runId}|${identity.worker}`;
+  const ids = idGenerators[key] || (idGenerators[key] = createIdGenerator({
+    runId: identity.runId,
+    workerId: identity.worker,
+    style: spec.style || 'ulid',
+    length: Number(spec.length) || 0
+  }));
+  return ids.next();
+}
+
+/**
+ * Resolves "module.method" on the faker instance.
+ */
+function fakerMethod(name) {
+  const [moduleName, methodName] = String(name).split('.');
+  const module = faker[moduleName];
+  if (!module || typeof module[methodName] !== 'function') {
+    throw new Error(`Unknown faker method "${name}"`);
+  }
+  return module[methodName].bind(module);
+}
+
+/**
+ * Generates a typed value from min / max / precision.
+ */
+function typedValue(spec, fieldPath, identity) {
+  switch (spec.type) {
+    case 'id':
+      return idValue(spec, fieldPath, identity);
+    case 'int':
+      return faker.number.int({ min: spec.min ?? 0, max: spec.max ?? Number.MAX_SAFE_INTEGER });
+    case 'float':
+      return faker.number.float({ min: spec.min ?? 0, max: spec.max ?? 1, multipleOf: spec.precision });
+    case 'boolean':
+      return faker.datatype.boolean();
+    case 'date':
+      return faker.date
+        .between({ from: spec.min || '2000-01-01', to: spec.max || new Date() })
+        .toISOString();
+    default:
+      throw new Error(`Unknown field type "${spec.type}"`);
+  }
+}
+
+/**
+ * Generates one field value (without uniqueness handling).
+ *
+ * @param {Object} spec - Field spec
+ * @param {string} fieldPath - Dotted path, for nested uniqueness
+ * @param {Object} identity - { runId, worker } of this record
+ */
+function rawValue(spec, fieldPath, identity) {
+  if (spec.fields) return generateObject(spec.fields, identity, fieldPath);
+  if ('value' in spec) return spec.value;
+  if (spec.enum) return faker.helpers.arrayElement(spec.enum);
+  if (spec.format) return faker.helpers.replaceSymbols(spec.format);
+  if (spec.fake) return faker.helpers.fake(spec.fake);
+  if (spec.type) return typedValue(spec, fieldPath, identity);
+
+  if (spec.faker) {
+    const method = fakerMethod(spec.faker);
+    if (Array.isArray(spec.args)) return method(...spec.args);
+    return spec.args !== undefined ? method(spec.args) : method();
+  }
+
+  throw new Error(`Field "${fieldPath}" has no generator (faker, fake, format, type, enum, value or fields)`);
+}
+
+/**
+ * Generates one field value, applying prefix / suffix / unique.
+ *
+ * @param {Object|string} spec - Field spec ("module.method" shorthand allowed)
+ * @param {string} fieldPath - Dotted field path
+ * @param {Object} identity - { runId, worker } of this record
+ */
+function fieldValue(spec, fieldPath, identity) {
+  const fieldSpec = typeof spec === 'string' ? { faker: spec } : spec;
+
+  const produce = () => {
+    const value = rawValue(fieldSpec, fieldPath, identity);
+    return fieldSpec.prefix || fieldSpec.suffix
+      ? `${fieldSpec.prefix || ''}${value}${fieldSpec.suffix || ''}`
+      : value;
+  };
+
+  if (!fieldSpec.unique) return produce();
+
+  const uniqueWindow = fieldSpec.unique === true ? DEFAULT_UNIQUE_WINDOW : Number(fieldSpec.unique);
+  if (!Number.isInteger(uniqueWindow) || uniqueWindow < 1) {
+    throw new Error(`Field "${fieldPath}": unique must be true or a positive integer`);
+  }
+
+  const seen = uniqueValues[fieldPath] || (uniqueValues[fieldPath] = new Set());
+  for (let attempt = 0; attempt < MAX_UNIQUE_ATTEMPTS; attempt++) {
+    const value = produce();
+    const key = JSON.stringify(value);
+    if (!seen.has(key)) {
+      seen.add(key);
+      if (seen.size > uniqueWindow) seen.delete(seen.values().next().value);
+      return value;
+    }
+  }
+  throw new Error(`Could not generate a unique value for "${fieldPath}" after ${MAX_UNIQUE_ATTEMPTS} attempts`);
+}
+
+/**
+ * Generates an object from a fields map.
+ *
+ * @param {Object} fields - Field name → spec
+ * @param {Object} identity - { runId, worker } of this record
+ * @param {string} [parentPath] - Dotted path of the parent
+ */
+function generateObject(fields, identity, parentPath) {
+  const out = {};
+  Object.entries(fields).forEach(([name, spec]) => {
+    const fieldPath = parentPath ? `${parentPath}.${name}` : name;
+    out[name] = fieldValue(spec, fieldPath, identity);
+  });
+  return out;
+}
+
+/**
+ * ------------------------------------------------------------
+ * SEEDING
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Records generated by this worker (per schema).
+ */
+const sequence = {};
+
+/**
+ * Seed part of a worker id: integers as-is, anything else hashed.
+ */
+function workerSeed(worker) {
+  const n = Number(worker);
+  return Number.isSafeInteger(n) && n >= 0 ? n : fnv1a(String(worker));
+}
+
+/**
+ * Generates the next record for a schema.
+ *
+ * @param {Object} schema - Loaded schema
+ * @param {Object} options
+ * @param {string} options.key - Schema identity (file name)
+ * @param {number|null} options.seed - Base seed; null = unseeded
+ * @param {number|string} options.worker - Worker id (threadId, "host:thread")
+ * @param {string} [options.runId='local'] - Run id, for `id` fields
+ * @returns {{ record: Object, seq: number }}
+ */
+function generateRecord(schema, { key, seed, worker, runId = 'local' }) {
+  const seq = (sequence[key] = (sequence[key] || 0) + 1);
+
+  if (seed !== null) {
+    faker.seed([seed, workerSeed(worker), seq]);
+  } else {
+    faker.seed();
+  }
+
+  return { record: generateObject(schema.fields, { runId, worker }), seq };
+}
+
+module.exports = {
+  loadSchema,
+  generateRecord
+};
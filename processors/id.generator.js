@@ -0,0 +1,121 @@
+/**
+ * ============================================================
+ * ID GENERATOR
+ * ============================================================
+ * Collision-free identifiers shared by the Artillery
+ * processors and the k6 PerformanceFramework.
+ *
+ * Pure CommonJS without Node built-ins, so k6 can load it:
+ *   const { createIdGenerator } = require('./processors/id.generator.js');
+ *
+ * Every id is built from:
+ *   run    - hash of the run id (20 bits)
+ *   worker - worker number (exact when < 2^32), or a 32-bit hash
+ *            of any other id ("host:thread"); the two ranges
+ *            never overlap
+ *   counter- monotonic per generator, never reused
+ *
+ * Styles (Crockford base32, upper case):
+ *   ulid    <time:10><run:4><worker:7><counter:4+>
+ *           time-sortable, unique across runs
+ *   compact <run:4><worker:7><counter:1+>
+ *           short; unique within a run
+ *
+ * Within one generator ids never repeat. Two generators only
+ * share ids if they share run and worker, so give every
+ * worker its own number (threadId, k6 VU id, ...). Hashed
+ * worker ids collide with a probability of about n² / 2^33
+ * (1000 Fargate workers: ~0.01%).
+ */
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const RUN_LIMIT = 2 ** 20;
+const WORKER_LIMIT = 2 ** 32;
+const STYLES = ['ulid', 'compact'];
+
+/**
+ * Encodes a non-negative integer in Crockford base32,
+ * left-padded to `width` characters.
+ */
+function base32(value, width) {
+  let n = Math.floor(value);
+  let out = '';
+  do {
+    out = ALPHABET[n % 32] + out;
+    n = Math.floor(n / 32);
+  } while (n > 0);
+  return out.padStart(width, '0');
+}
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Maps a worker id to 33 bits: integers below 2^32 are kept
+ * as-is, anything else (e.g. "host:thread") is hashed into the
+ * upper half, so hashed and numbered workers never meet.
+ */
+function workerBits(workerId) {
+  const n = Number(workerId);
+  if (Number.isInteger(n) && n >= 0 && n < WORKER_LIMIT) return n;
+  return WORKER_LIMIT + fnv1a(String(workerId));
+}
+
+/**
+ * Creates an id generator.
+ *
+ * @param {Object} options
+ * @param {string} options.runId - Run identifier
+ * @param {number|string} options.workerId - Worker / VU identifier
+ * @param {string} [options.prefix=''] - Prepended to every id
+ * @param {number} [options.length=0] - Minimum id length without prefix;
+ *                                       the counter is zero-padded to reach it
+ * @param {string} [options.style='ulid'] - 'ulid' | 'compact'
+ * @param {Function} [options.now=Date.now] - Clock (ulid style)
+ * @returns {{ next: Function }}
+ */
+function createIdGenerator(options) {
+  const {
+    runId = 'local',
+    workerId = 0,
+    prefix = '',
+    length = 0,
+    style = 'ulid',
+    now = Date.now
+  } = options || {};
+
+  if (STYLES.indexOf(style) === -1) {
+    throw new Error(`Unknown id style "${style}" (expected ${STYLES.join(' | ')})`);
+  }
+
+  const node = base32(fnv1a(String(runId)) % RUN_LIMIT, 4) + base32(workerBits(workerId), 7);
+  const fixedLength = (style === 'ulid' ? 10 : 0) + node.length;
+  const counterWidth = Math.max(style === 'ulid' ? 4 : 1, Number(length) - fixedLength);
+
+  let counter = 0;
+
+  return {
+    /**
+     * @returns {string} Next id
+     */
+    next() {
+      counter++;
+      const time = style === 'ulid' ? base32(now(), 10) : '';
+      return `${prefix}${time}${node}${base32(counter, counterWidth)}`;
+    }
+  };
+}
+
+module.exports = {
+  createIdGenerator,
+  fnv1a
+};
@@ -0,0 +1,516 @@
+/**
+ * ============================================================
+ * JSON PATH
+ * ============================================================
+ * JSONPath subset, filter predicates and regex extraction
+ * shared by the Artillery `correlate` hook and
+ * PerformanceFramework.extract (k6). Pure CommonJS without
+ * Node built-ins and without eval, so k6 can load it:
+ *   const jsonPath = require('./processors/json.path.js');
+ *
+ * Paths:
+ *   $.data.products           child
+ *   data.products             same ($ optional, legacy paths work)
+ *   $.items[0]  $.items[-1]   index (negative from the end)
+ *   $.items[1:3]              slice
+ *   $.items[*]  $.items.*     wildcard
+ *   $..id                     recursive descent
+ *   $['odd key']              quoted name
+ *   $.items[?(@.stock > 0 && @.category == 'Electronics')]
+ *
+ * Predicates (filters and `where`):
+ *   @.price.amount >= 10      @ is the current item
+ *   stock > 0                 bare names read from the item
+ *   == != === !== > >= < <=, =~ /regex/flags
+ *   && || ! ( ), 'text' "text" numbers true false null
+ */
+
+/**
+ * ------------------------------------------------------------
+ * PATH PARSING
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Parsed paths, cached by expression.
+ */
+const pathCache = {};
+
+/**
+ * Reads a quoted string starting at `i` (on the quote).
+ *
+ * @returns {{ value: string, end: number }} end = index after closing quote
+ */
+function readQuoted(text, i) {
+  const quote = text[i];
+  let value = '';
+  let j = i + 1;
+  while (j < text.length && text[j] !== quote) {
+    if (text[j] === '\\' && j + 1 < text.length) j++;
+    value += text[j];
+    j++;
+  }
+  if (j >= text.length) throw new Error(`Unterminated string in "${text}"`);
+  return { value, end: j + 1 };
+}
+
+/**
+ * Reads a regex literal starting at `i` (on the opening slash).
+ *
+ * @returns {{ source: string, flags: string, end: number }} end = index after the flags
+ */
+function readRegex(text, i) {
+  let j = i + 1;
+  while (j < text.length && text[j] !== '/') j += text[j] === '\\' ? 2 : 1;
+  if (j >= text.length) throw new Error(`Unterminated regex in "${text}"`);
+
+  const flags = /^[a-z]*/.exec(text.slice(j + 1))[0];
+  return { source: text.slice(i + 1, j), flags, end: j + 1 + flags.length };
+}
+
+/**
+ * Finds the index of the `)` closing the `(` at `start`,
+ * skipping quoted strings and regex literals (after =~).
+ */
+function closingParen(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === "'") {
+      i = readQuoted(text, i).end - 1;
+    } else if (ch === '/' && /=~\s*$/.test(text.slice(start, i))) {
+      i = readRegex(text, i).end - 1;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  throw new Error(`Unbalanced parentheses in "${text}"`);
+}
+
+/**
+ * Parses the inside of [...] into a selector.
+ */
+function parseBracket(text, inner) {
+  const body = inner.trim();
+
+  if (body === '*') return { type: 'wildcard' };
+
+  if (body.startsWith('?(') && body.endsWith(')')) {
+    return { type: 'filter', predicate: compilePredicate(body.slice(2, -1)) };
+  }
+
+  if (/^-?\d+$/.test(body)) return { type: 'index', index: Number(body) };
+
+  const slice = /^(-?\d*)\s*:\s*(-?\d*)$/.exec(body);
+  if (slice) {
+    return {
+      type: 'slice',
+      start: slice[1] === '' ? null : Number(slice[1]),
+      end: slice[2] === '' ? null : Number(slice[2])
+    };
+  }
+
+  if (body[0] === '"' || body[0] === "'") return { type: 'child', name: readQuoted(body, 0).value };
+
+  throw new Error(`Unsupported selector [${inner}] in "${text}"`);
+}
+
+/**
+ * Parses a path into selectors:
+ *   { type: 'child' | 'wildcard' | 'index' | 'slice' | 'filter', recursive?: true }
+ *
+ * @param {string} expression - Path expression
+ * @returns {Array<Object>}
+ */
+function parsePath(expression) {
+  const text = String(expression || '').trim();
+  if (pathCache[text]) return pathCache[text];
+
+  const selectors = [];
+  let i = 0;
+  if (text[0] === '$') i = 1;
+
+  // Legacy paths start with a bare name: "data[0].comments"
+  let expectName = i === 0 && text.length > 0 && text[0] !== '[' && text[0] !== '.';
+
+  while (i < text.length) {
+    let recursive = false;
+
+    if (!expectName) {
+      if (text.startsWith('..', i)) {
+        recursive = true;
+        i += 2;
+      } else if (text[i] === '.') {
+        i += 1;
+      } else if (text[i] !== '[') {
+        throw new Error(`Unexpected "${text[i]}" at ${i} in "${text}"`);
+      }
+    }
+    expectName = false;
+
+    if (text[i] === '[') {
+      let j = i + 1;
+      if (text[j] === '?') {
+        j = closingParen(text, text.indexOf('(', j)) + 1;
+      } else if (text[j] === '"' || text[j] === "'") {
+        j = readQuoted(text, j).end;
+      }
+      const close = text.indexOf(']', j);
+      if (close === -1) throw new Error(`Missing "]" in "${text}"`);
+
+      selectors.push({ ...parseBracket(text, text.slice(i + 1, close)), recursive });
+      i = close + 1;
+      continue;
+    }
+
+    if (text[i] === '*') {
+      selectors.push({ type: 'wildcard', recursive });
+      i += 1;
+      continue;
+    }
+
+    const name = /^[^.[\]\s]+/.exec(text.slice(i));
+    if (!name) throw new Error(`Missing name at ${i} in "${text}"`);
+    selectors.push({ type: 'child', name: name[0], recursive });
+    i += name[0].length;
+  }
+
+  pathCache[text] = selectors;
+  return selectors;
+}
+
+/**
+ * ------------------------------------------------------------
+ * PATH EVALUATION
+ * ------------------------------------------------------------
+ */
+
+const isContainer = v => v !== null && typeof v === 'object';
+
+/**
+ * Node plus every nested value (for `..`).
+ */
+function descendants(node, out) {
+  out.push(node);
+  if (isContainer(node)) Object.keys(node).forEach(k => descendants(node[k], out));
+  return out;
+}
+
+/**
+ * Applies one selector to a node.
+ */
+function select(node, selector, out) {
+  if (!isContainer(node)) return;
+
+  switch (selector.type) {
+    case 'child':
+      if (Object.prototype.hasOwnProperty.call(node, selector.name)) out.push(node[selector.name]);
+      break;
+    case 'wildcard':
+      Object.keys(node).forEach(k => out.push(node[k]));
+      break;
+    case 'index': {
+      if (!Array.isArray(node)) break;
+      const index = selector.index < 0 ? node.length + selector.index : selector.index;
+      if (index >= 0 && index < node.length) out.push(node[index]);
+      break;
+    }
+    case 'slice':
+      if (Array.isArray(node)) {
+        node.slice(selector.start ?? 0, selector.end ?? node.length).forEach(v => out.push(v));
+      }
+      break;
+    case 'filter':
+      (Array.isArray(node) ? node : Object.keys(node).map(k => node[k]))
+        .filter(v => selector.predicate(v))
+        .forEach(v => out.push(v));
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Evaluates a path and returns every match.
+ *
+ * @param {*} data - Parsed JSON
+ * @param {string} expression - Path expression ('' or '$' = data itself)
+ * @returns {Array<*>}
+ */
+function query(data, expression) {
+  let nodes = [data];
+
+  parsePath(expression).forEach(selector => {
+    const next = [];
+    const sources = selector.recursive
+      ? nodes.reduce((acc, n) => descendants(n, acc), [])
+      : nodes;
+    sources.forEach(n => select(n, selector, next));
+    nodes = next;
+  });
+
+  return nodes;
+}
+
+/**
+ * First match of a path, or undefined.
+ */
+function first(data, expression) {
+  return query(data, expression)[0];
+}
+
+/**
+ * Evaluates a path as a list of candidates: a single array
+ * match ("$.products") is the list itself, anything else
+ * ("$.products[?(@.stock > 0)]", "$..id") is the match list.
+ *
+ * @param {*} data - Parsed JSON, or JSON text
+ * @param {string} expression - Path expression
+ * @returns {Array<*>}
+ */
+function queryList(data, expression) {
+  let parsed = data;
+  if (typeof data === 'string') {
+    try {
+      parsed = JSON.parse(data);
+    } catch (err) {
+      return [];
+    }
+  }
+
+  const matches = query(parsed, expression);
+  if (matches.length === 1 && Array.isArray(matches[0])) return matches[0];
+  return matches.filter(m => m !== undefined);
+}
+
+/**
+ * ------------------------------------------------------------
+ * PREDICATES
+ * ------------------------------------------------------------
+ */
+
+const OPERATORS = ['===', '!==', '==', '!=', '>=', '<=', '=~', '&&', '||', '>', '<', '!', '(', ')'];
+const KEYWORDS = { true: true, false: false, null: null };
+
+/**
+ * Splits a predicate into tokens.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      const { value, end } = readQuoted(text, i);
+      tokens.push({ type: 'literal', value });
+      i = end;
+      continue;
+    }
+
+    // Regex literal, only right after =~. g / y are dropped: the
+    // compiled predicate is cached and would carry lastIndex over
+    if (ch === '/' && tokens.length && tokens[tokens.length - 1].value === '=~') {
+      const { source, flags, end } = readRegex(text, i);
+      tokens.push({ type: 'literal', value: new RegExp(source, flags.replace(/[gy]/g, '')) });
+      i = end;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?/.exec(text.slice(i));
+    if (number && (tokens.length === 0 || tokens[tokens.length - 1].type === 'op')) {
+      tokens.push({ type: 'literal', value: Number(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+
+    const op = OPERATORS.find(o => text.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: 'op', value: op });
+      i += op.length;
+      continue;
+    }
+
+    // Path: @, @.a.b, @['x'], or a bare name like price.amount
+    const path = /^(@|[A-Za-z_$][\w$]*)((\.[A-Za-z_$][\w$]*)|(\[[^\]]*\]))*/.exec(text.slice(i));
+    if (path) {
+      if (path[0] in KEYWORDS) {
+        tokens.push({ type: 'literal', value: KEYWORDS[path[0]] });
+      } else {
+        const relative = path[0][0] === '@' ? path[0].slice(1) : `.${path[0]}`;
+        tokens.push({ type: 'path', value: relative });
+      }
+      i += path[0].length;
+      continue;
+    }
+
+    throw new Error(`Unexpected "${ch}" in predicate "${text}"`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Loose comparison used by the predicate operators.
+ */
+function compare(op, left, right) {
+  switch (op) {
+    case '===': return left === right;
+    case '!==': return left !== right;
+    // Loose on purpose: "5" == 5 (path values vs. literals)
+    case '==': return left == right;
+    case '!=': return left != right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '=~': return right instanceof RegExp && right.test(String(left));
+    default: throw new Error(`Unknown operator ${op}`);
+  }
+}
+
+/**
+ * Parsed predicates, cached by expression.
+ */
+const predicateCache = {};
+
+/**
+ * Compiles a predicate into item → boolean.
+ * Grammar: or → and → not → comparison → primary.
+ *
+ * @param {string} expression - Predicate text
+ * @returns {Function}
+ */
+function compilePredicate(expression) {
+  const text = String(expression).trim();
+  if (predicateCache[text]) return predicateCache[text];
+
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = value => peek() && peek().type === 'op' && peek().value === value;
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error(`Unexpected end of predicate "${text}"`);
+
+    if (token.type === 'literal') return () => token.value;
+    if (token.type === 'path') return item => first(item, token.value);
+
+    if (token.value === '(') {
+      const inner = parseOr();
+      if (!isOp(')')) throw new Error(`Missing ")" in predicate "${text}"`);
+      pos++;
+      return inner;
+    }
+
+    throw new Error(`Unexpected "${token.value}" in predicate "${text}"`);
+  };
+
+  const parseComparison = () => {
+    const left = parsePrimary();
+    const token = peek();
+    if (token && token.type === 'op' && ['===', '!==', '==', '!=', '>', '>=', '<', '<=', '=~'].includes(token.value)) {
+      pos++;
+      const right = parsePrimary();
+      return item => compare(token.value, left(item), right(item));
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isOp('!')) {
+      pos++;
+      const inner = parseNot();
+      return item => !inner(item);
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (isOp('&&')) {
+      pos++;
+      const l = left;
+      const r = parseNot();
+      left = item => Boolean(l(item)) && Boolean(r(item));
+    }
+    return left;
+  };
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isOp('||')) {
+      pos++;
+      const l = left;
+      const r = parseAnd();
+      left = item => Boolean(l(item)) || Boolean(r(item));
+    }
+    return left;
+  }
+
+  const evaluate = parseOr();
+  if (pos !== tokens.length) throw new Error(`Unexpected "${tokens[pos].value}" in predicate "${text}"`);
+
+  const predicate = item => Boolean(evaluate(item));
+  predicateCache[text] = predicate;
+  return predicate;
+}
+
+/**
+ * ------------------------------------------------------------
+ * REGEX
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Every match of a pattern in a text, reduced to one capture
+ * group. For non-JSON bodies (HTML, XML, plain text).
+ *
+ * @param {string} text - Body text (non-strings are JSON-encoded)
+ * @param {string|RegExp} pattern - Pattern
+ * @param {Object} [options]
+ * @param {number|string} [options.group=1] - Group index or name
+ *                                            (0 = whole match)
+ * @param {string} [options.flags] - Flags for string patterns
+ * @returns {Array<string>}
+ */
+function regexMatches(text, pattern, options = {}) {
+  const { group = 1, flags = '' } = options;
+  const body = typeof text === 'string' ? text : JSON.stringify(text);
+  if (body === undefined) return [];
+
+  const source = pattern instanceof RegExp ? pattern.source : String(pattern);
+  const baseFlags = pattern instanceof RegExp ? pattern.flags : flags;
+  const regex = new RegExp(source, baseFlags.includes('g') ? baseFlags : `${baseFlags}g`);
+
+  const out = [];
+  let match;
+  while ((match = regex.exec(body)) !== null) {
+    const value = typeof group === 'string' && !/^\d+$/.test(group)
+      ? match.groups && match.groups[group]
+      : match[Number(group)];
+    if (value !== undefined) out.push(value);
+    if (match[0] === '') regex.lastIndex++;
+  }
+  return out;
+}
+
+module.exports = {
+  parsePath,
+  query,
+  first,
+  queryList,
+  compilePredicate,
+  regexMatches
+};
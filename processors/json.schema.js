@@ -0,0 +1,194 @@
+/**
+ * ============================================================
+ * JSON SCHEMA
+ * ============================================================
+ * Small JSON Schema validator shared by the Artillery
+ * `validateResponse` hook and PerformanceFramework.validateSchema
+ * (k6). Pure CommonJS without Node built-ins.
+ *
+ * Keywords:
+ *   type (incl. integer, type lists), nullable (OpenAPI 3.0),
+ *   enum, const, required, properties, additionalProperties,
+ *   minProperties, maxProperties, items, minItems, maxItems,
+ *   uniqueItems, minimum, maximum, exclusiveMinimum,
+ *   exclusiveMaximum (number or OpenAPI 3.0 boolean form),
+ *   multipleOf, minLength, maxLength, pattern,
+ *   allOf, anyOf, oneOf, not, $ref ("#/..." inside the root).
+ *
+ * Annotations (format, description, example, ...) are ignored,
+ * so OpenAPI response schemas can be used as they are.
+ */
+
+const MAX_ERRORS = 20;
+
+/**
+ * Resolves a local JSON pointer ("#/components/schemas/Product").
+ *
+ * @param {Object} root - Root document
+ * @param {string} ref - Pointer
+ * @returns {Object}
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local $ref is supported, got "${ref}"`);
+  }
+
+  const target = ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), root);
+
+  if (target === undefined) throw new Error(`Unresolved $ref "${ref}"`);
+  return target;
+}
+
+/**
+ * JSON type of a value, with "integer" for whole numbers.
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Deep equality for enum / const / uniqueItems.
+ */
+function equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validates `value` against `schema`, appending to `errors`.
+ */
+function check(schema, value, path, root, errors) {
+  if (errors.length >= MAX_ERRORS || schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    check(resolveRef(root, schema.$ref), value, path, root, errors);
+    return;
+  }
+
+  const fail = message => errors.push({ path, message });
+
+  /** ---- TYPE ---- */
+  if (value === null && schema.nullable === true) return;
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      fail(`should be ${types.join(' | ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(e => equal(e, value))) fail(`should be one of ${JSON.stringify(schema.enum)}`);
+  if ('const' in schema && !equal(schema.const, value)) fail(`should be ${JSON.stringify(schema.const)}`);
+
+  /** ---- COMBINATORS ---- */
+  if (schema.allOf) schema.allOf.forEach(s => check(s, value, path, root, errors));
+
+  const passing = list => list.filter(s => {
+    const nested = [];
+    check(s, value, path, root, nested);
+    return nested.length === 0;
+  }).length;
+
+  if (schema.anyOf && passing(schema.anyOf) === 0) fail('should match anyOf');
+  if (schema.oneOf && passing(schema.oneOf) !== 1) fail('should match exactly one of oneOf');
+  if (schema.not && passing([schema.not]) === 1) fail('should not match "not"');
+
+  /** ---- NUMBERS ---- */
+  if (typeof value === 'number') {
+    const exMin = schema.exclusiveMinimum;
+    const exMax = schema.exclusiveMaximum;
+    if (schema.minimum !== undefined && (exMin === true ? value <= schema.minimum : value < schema.minimum)) {
+      fail(`should be ${exMin === true ? '>' : '>='} ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && (exMax === true ? value >= schema.maximum : value > schema.maximum)) {
+      fail(`should be ${exMax === true ? '<' : '<='} ${schema.maximum}`);
+    }
+    if (typeof exMin === 'number' && value <= exMin) fail(`should be > ${exMin}`);
+    if (typeof exMax === 'number' && value >= exMax) fail(`should be < ${exMax}`);
+    if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      fail(`should be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  /** ---- STRINGS ---- */
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`should have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`should have at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`should match /${schema.pattern}/`);
+  }
+
+  /** ---- ARRAYS ---- */
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`should have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`should have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) fail('should have unique items');
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, root, errors));
+    }
+  }
+
+  /** ---- OBJECTS ---- */
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value);
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    });
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) fail(`should have at least ${schema.minProperties} properties`);
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) fail(`should have at most ${schema.maxProperties} properties`);
+
+    keys.forEach(key => {
+      if (key in properties) {
+        check(properties[key], value[key], `${path}.${key}`, root, errors);
+      } else if (schema.additionalProperties !== undefined) {
+        check(schema.additionalProperties, value[key], `${path}.${key}`, root, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Validates a value.
+ *
+ * @param {Object} schema - Schema (or sub-schema of `root`)
+ * @param {*} value - Parsed JSON
+ * @param {Object} [root=schema] - Document that "#/..." refs resolve in
+ * @returns {Array<{ path: string, message: string }>} Empty when valid
+ */
+function validate(schema, value, root) {
+  const errors = [];
+  check(schema, value, '$', root || schema, errors);
+  return errors.slice(0, MAX_ERRORS);
+}
+
+/**
+ * One-line summary of validation errors.
+ */
+function formatErrors(errors) {
+  return errors.map(e => `${e.path} ${e.message}`).join('; ');
+}
+
+module.exports = {
+  validate,
+  resolveRef,
+  formatErrors
+};
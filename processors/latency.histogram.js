@@ -0,0 +1,199 @@
+/**
+ * ============================================================
+ * LATENCY HISTOGRAM
+ * ============================================================
+ * HDR-style log-linear histogram with bounded memory.
+ *
+ * Values are recorded in microseconds. Every power-of-two
+ * range is split into SUB_BUCKETS linear buckets, so any
+ * percentile is accurate to ~0.4% regardless of magnitude,
+ * while one hour of latency needs at most a few thousand
+ * buckets.
+ *
+ * Histograms serialize to plain JSON (`toJSON`) and can be
+ * merged (`merge`), so interval records written by different
+ * workers can be combined later (see sla_evaluator.js).
+ */
+
+/**
+ * Precision: 2^PRECISION_BITS buckets per power of two.
+ */
+const PRECISION_BITS = 8;
+const SUB_BUCKETS = 2 ** PRECISION_BITS;
+const HALF = SUB_BUCKETS / 2;
+
+/**
+ * Unit conversion (values are passed in milliseconds).
+ */
+const UNITS_PER_MS = 1000;
+
+/**
+ * Maps a non-negative integer value to its bucket index.
+ *
+ * @param {number} value - Value in microseconds
+ * @returns {number}
+ */
+function bucketIndex(value) {
+  if (value < SUB_BUCKETS) return value;
+
+  const shift = Math.floor(Math.log2(value)) - (PRECISION_BITS - 1);
+  const sub = Math.floor(value / 2 ** shift);
+  return SUB_BUCKETS + (shift - 1) * HALF + (sub - HALF);
+}
+
+/**
+ * Inverse of bucketIndex: the range covered by a bucket.
+ *
+ * @param {number} index - Bucket index
+ * @returns {{ low: number, high: number }} Inclusive range in microseconds
+ */
+function bucketRange(index) {
+  if (index < SUB_BUCKETS) return { low: index, high: index };
+
+  const shift = Math.floor((index - SUB_BUCKETS) / HALF) + 1;
+  const sub = ((index - SUB_BUCKETS) % HALF) + HALF;
+  return { low: sub * 2 ** shift, high: (sub + 1) * 2 ** shift - 1 };
+}
+
+/**
+ * Creates an empty histogram.
+ */
+function createHistogram() {
+  /**
+   * Sparse bucket counts: index → count.
+   */
+  const buckets = new Map();
+
+  let count = 0;
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  const histogram = {
+    /**
+     * Records one value.
+     *
+     * @param {number} valueMs - Value in milliseconds
+     */
+    record(valueMs) {
+      if (typeof valueMs !== 'number' || !Number.isFinite(valueMs) || valueMs < 0) return;
+
+      const index = bucketIndex(Math.round(valueMs * UNITS_PER_MS));
+      buckets.set(index, (buckets.get(index) || 0) + 1);
+
+      count++;
+      sum += valueMs;
+      if (valueMs < min) min = valueMs;
+      if (valueMs > max) max = valueMs;
+    },
+
+    /**
+     * Adds another histogram (live or serialized) into this one.
+     *
+     * @param {Object} other - Histogram or its toJSON() output
+     */
+    merge(other) {
+      const data = typeof other.toJSON === 'function' ? other.toJSON() : other;
+      if (!data || !data.count) return histogram;
+
+      if (data.precisionBits !== PRECISION_BITS) {
+        throw new Error(
+          `Cannot merge histogram with precisionBits ${data.precisionBits} (expected ${PRECISION_BITS})`
+        );
+      }
+
+      Object.entries(data.buckets).forEach(([index, n]) => {
+        buckets.set(Number(index), (buckets.get(Number(index)) || 0) + n);
+      });
+
+      count += data.count;
+      sum += data.sum;
+      if (data.min < min) min = data.min;
+      if (data.max > max) max = data.max;
+      return histogram;
+    },
+
+    /**
+     * Value at the given percentile (0-100), in milliseconds.
+     * Reported as the midpoint of the bucket, clamped to min/max.
+     *
+     * @param {number} p - Percentile
+     * @returns {number|null}
+     */
+    percentile(p) {
+      if (count === 0) return null;
+
+      const rank = Math.max(1, Math.ceil((p / 100) * count));
+      const indices = [...buckets.keys()].sort((a, b) => a - b);
+
+      let seen = 0;
+      for (const index of indices) {
+        seen += buckets.get(index);
+        if (seen >= rank) {
+          const { low, high } = bucketRange(index);
+          const value = (low + high) / 2 / UNITS_PER_MS;
+          return Math.min(max, Math.max(min, value));
+        }
+      }
+      return max;
+    },
+
+    /**
+     * Summary statistics in milliseconds.
+     */
+    summary() {
+      if (count === 0) return { count: 0 };
+      return {
+        count,
+        min,
+        max,
+        mean: sum / count,
+        p50: histogram.percentile(50),
+        p90: histogram.percentile(90),
+        p95: histogram.percentile(95),
+        p99: histogram.percentile(99)
+      };
+    },
+
+    get count() {
+      return count;
+    },
+
+    /**
+     * Mergeable JSON representation.
+     */
+    toJSON() {
+      const out = {};
+      [...buckets.keys()].sort((a, b) => a - b).forEach(index => {
+        out[index] = buckets.get(index);
+      });
+      return {
+        precisionBits: PRECISION_BITS,
+        unit: 'us',
+        count,
+        sum,
+        min: count ? min : null,
+        max: count ? max : null,
+        buckets: out
+      };
+    }
+  };
+
+  return histogram;
+}
+
+/**
+ * Rebuilds a histogram from its toJSON() output.
+ *
+ * @param {Object} data - Serialized histogram
+ */
+function fromJSON(data) {
+  return createHistogram().merge(data);
+}
+
+module.exports = {
+  createHistogram,
+  fromJSON,
+  bucketIndex,
+  bucketRange
+};
@@ -0,0 +1,183 @@
+/**
+ * ============================================================
+ * RUN LIFECYCLE
+ * ============================================================
+ * Coordinated, graceful stop for the Artillery processors.
+ *
+ * Replaces `process.kill(process.pid, 'SIGTERM')`, which cut
+ * in-flight requests, skipped Artillery's final report and
+ * could lose buffered stream / S3 writes.
+ *
+ * Flow of requestStop():
+ *  1. Mark the run as stopping (VUs are flagged with skipMe)
+ *  2. Emit a custom counter (e.g. pool.drained)
+ *  3. Flush every registered stream / uploader
+ *  4. Hand the stop to the lifecycle plugin, which ends the run
+ *     from the main thread through global.artillery.shutdown()
+ *     with exit code 1, according to `stopAction`:
+ *       drain    (default) at the next intermediate report, so
+ *                requests already in flight are reported
+ *       shutdown right away
+ *
+ * Flush handlers run from the plugin's cleanup() hook, which
+ * every worker awaits before it exits. Scripts must therefore
+ * load the plugin (plugins/artillery-plugin-lifecycle):
+ *
+ *   config:
+ *     plugins:
+ *       lifecycle: {}
+ *
+ * Without it a stop only short-circuits the VUs of this worker
+ * and buffered data is not flushed at the end of the run.
+ *
+ * Settings: `stopAction` YAML variable or STOP_ACTION env var.
+ */
+
+/**
+ * Exit code suggested to Artillery when a run is stopped early.
+ */
+const STOPPED_EXIT_CODE = 1;
+
+/**
+ * Accepted `stopAction` values.
+ */
+const STOP_ACTIONS = ['drain', 'shutdown'];
+
+/**
+ * Registered flush handlers: name → async function.
+ */
+const flushHandlers = new Map();
+
+/**
+ * Stop listeners (the lifecycle plugin).
+ */
+const stopListeners = [];
+
+/**
+ * Stop state for this worker.
+ */
+let stopping = false;
+let stopReason = null;
+
+/**
+ * Flush in progress, and the follow-up flush queued behind it.
+ */
+let pendingFlush = null;
+let queuedFlush = null;
+
+/**
+ * Registers an async handler that persists buffered data.
+ * Handlers run on stop, in the lifecycle plugin's cleanup()
+ * and via the `flushArtifacts` hook. They must be safe to
+ * call twice.
+ *
+ * @param {string} name - Unique handler name (replaces same name)
+ * @param {Function} fn - Async flush function
+ */
+function onShutdown(name, fn) {
+  flushHandlers.set(name, fn);
+}
+
+/**
+ * Runs every flush handler once. A call made while a flush is
+ * running waits for it and then flushes again, so data buffered
+ * in the meantime is included; such callers share the follow-up
+ * flush. Failures are logged, never thrown.
+ *
+ * @returns {Promise<void>}
+ */
+function flushAll() {
+  if (pendingFlush) {
+    if (!queuedFlush) {
+      queuedFlush = pendingFlush.then(() => {
+        queuedFlush = null;
+        return flushAll();
+      });
+    }
+    return queuedFlush;
+  }
+
+  pendingFlush = Promise.allSettled(
+    [...flushHandlers.entries()].map(([name, fn]) =>
+      Promise.resolve()
+        .then(fn)
+        .catch(err => console.error(`❌ Flush "${name}" failed:`, err))
+    )
+  ).then(() => {
+    pendingFlush = null;
+  });
+
+  return pendingFlush;
+}
+
+/**
+ * Subscribes to stop requests of this thread. Used by the
+ * lifecycle plugin to forward them to the main thread.
+ *
+ * @param {Function} fn - Called with { reason, action, exitCode }
+ */
+function onStop(fn) {
+  stopListeners.push(fn);
+}
+
+/**
+ * @returns {boolean} True once a stop has been requested.
+ */
+function isStopping() {
+  return stopping;
+}
+
+/**
+ * @returns {string|null} Why the run is stopping.
+ */
+function getStopReason() {
+  return stopReason;
+}
+
+/**
+ * Requests a graceful stop of the run. Only the first call
+ * has any effect.
+ *
+ * @param {string} reason - Human readable reason
+ * @param {Object} [options]
+ * @param {Object} [options.events] - Artillery event emitter
+ * @param {string} [options.counter] - Custom counter to emit
+ * @param {string} [options.action] - 'drain' | 'shutdown'
+ * @returns {Promise<void>}
+ */
+async function requestStop(reason, { events, counter, action } = {}) {
+  if (stopping) return;
+
+  stopping = true;
+  stopReason = reason;
+
+  if (events && counter) {
+    events.emit('counter', counter, 1);
+  }
+
+  console.log(`⏹️ Stopping run: ${reason}`);
+
+  await flushAll();
+
+  let stopAction = String(action || process.env.STOP_ACTION || 'drain').toLowerCase();
+  if (!STOP_ACTIONS.includes(stopAction)) {
+    console.warn(`⚠️ Unknown stopAction "${stopAction}", using "drain"`);
+    stopAction = 'drain';
+  }
+
+  if (stopListeners.length === 0) {
+    console.warn('⚠️ Lifecycle plugin not loaded: VUs are skipped until the phases end');
+    return;
+  }
+
+  stopListeners.forEach(fn => fn({ reason, action: stopAction, exitCode: STOPPED_EXIT_CODE }));
+}
+
+module.exports = {
+  onShutdown,
+  onStop,
+  flushAll,
+  isStopping,
+  getStopReason,
+  requestStop
+};
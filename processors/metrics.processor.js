@@ -1,18 +1,35 @@
 /**
  * ============================================================
  * METRICS & LOGGING PROCESSOR
- * (Local / GitHub → reports/, Fargate → /tmp + S3)
  * ============================================================
  *
  * Behavior:
- *  - Local / CI:
- *      Writes files to ./reports
- *      No S3 interaction
+ *  - Writes artifacts through the shared artifact sink
+ *    (see artifact.sink.js):
+ *      <runId>/artillery-metrics.jsonl
+ *      <runId>/created_resources.csv (see resource.ledger.js)
+ *  - Local / CI → reports/<runId>/
+ *  - Fargate    → /tmp/artillery_results/<runId>/ and
+ *                 s3://<bucket>/test-runs/<runId>/
  *
- *  - Fargate (artillery run-fargate):
- *      Writes files to /tmp/artillery_results
- *      Uploads artifacts to:
- *        s3://<bucket>/test-runs/<ARTILLERY_TEST_RUN_ID>/
+ * Metrics modes (`metricsMode` YAML variable / METRICS_MODE):
+ *  - raw       (default) one JSON line per request
+ *  - aggregate per request name: latency histogram, status codes
+ *              and throughput, rolled up every `metricsInterval`
+ *              seconds (METRICS_INTERVAL, default 10) into one
+ *              `interval` record with mergeable histogram buckets;
+ *              the last interval needs the lifecycle plugin
+ *
+ * Request fields (`metricsFields` YAML variable / METRICS_FIELDS,
+ * comma separated, default all):
+ *  - Timing phases: dns, tcp, tls, firstByte, download, wait, total
+ *  - requestBytes, responseBytes
+ *  - requestId (apigw-requestid / x-amzn-requestid, for CloudWatch)
+ *  - vuId, scenario
+ *
+ * Schema failures (see schema.processor.js, run validateResponse
+ * first): raw records get `schemaFailed: true`, interval records
+ * `schemaFailures: <count>`.
  *
  * Design goals:
  *  - Deterministic paths
@@ -21,186 +38,286 @@
  *  - CloudWatch-visible diagnostics
  */
 
-const fs = require('fs');
-const path = require('path');
-const AWS = require('aws-sdk');
+const { threadId } = require('worker_threads');
+const lifecycle = require('./lifecycle');
+const sink = require('./artifact.sink');
+const breaker = require('./circuit.breaker');
+const ledger = require('./resource.ledger');
+const { createHistogram } = require('./latency.histogram');
 
 /**
  * ------------------------------------------------------------
- * ENVIRONMENT DETECTION
+ * ARTIFACTS
  * ------------------------------------------------------------
  */
+const metricsArtifact = sink.openArtifact('artillery-metrics.jsonl');
+
+// console.log('🧭 Execution Environment:', sink.isFargate ? 'FARGATE' : 'LOCAL / CI');
+// console.log('📁 Run directory:', sink.getRunDir());
 
 /**
- * True when running inside AWS Fargate.
- * AWS_EXECUTION_ENV is always set by ECS/Fargate.
+ * ------------------------------------------------------------
+ * METRIC WRITER
+ * ------------------------------------------------------------
  */
-const isFargate = Boolean(process.env.AWS_EXECUTION_ENV);
 
 /**
- * S3 bucket used for metrics uploads (Fargate only).
+ * Writes a single metric entry.
+ *
+ * @param {Object} metric - Metric payload to persist.
  */
-const S3_BUCKET =
-  process.env.METRICS_BUCKET || 'artilleryio-test-data-983610474809';
+async function writeMetric(metric) {
+  metricsArtifact.write(JSON.stringify(metric) + '\n');
+  // console.log('📈 Metric recorded:', metric);
+}
 
 /**
- * Artillery exposes ARTILLERY_TEST_RUN_ID during run-fargate.
- * This value is required to colocate custom artifacts correctly.
+ * ------------------------------------------------------------
+ * REQUEST FIELDS
+ * ------------------------------------------------------------
  */
-const ARTILLERY_RUN_ID = isFargate
-  ? process.env.ARTILLERY_TEST_RUN_ID
-  : null;
 
 /**
- * S3 prefix used for uploads.
- * Matches Artillery’s own result structure.
+ * Timing phases exposed by response.timings.phases.
  */
-const S3_RUN_PREFIX = ARTILLERY_RUN_ID
-  ? `test-runs/${ARTILLERY_RUN_ID}`
-  : null;
+const TIMING_PHASES = ['dns', 'tcp', 'tls', 'firstByte', 'download', 'wait', 'total'];
 
 /**
- * ------------------------------------------------------------
- * FILESYSTEM PATHS
- * ------------------------------------------------------------
+ * Request metadata fields.
  */
+const METADATA_FIELDS = ['requestBytes', 'responseBytes', 'requestId', 'vuId', 'scenario'];
+
+const ALL_FIELDS = TIMING_PHASES.concat(METADATA_FIELDS);
 
 /**
- * Local project root (used only when NOT running in Fargate).
+ * Response headers carrying the API Gateway request id.
  */
-const PROJECT_ROOT = path.resolve(__dirname, '..');
+const REQUEST_ID_HEADERS = ['apigw-requestid', 'x-amzn-requestid'];
 
 /**
- * Results directory:
- *  - Fargate → /tmp/artillery_results
- *  - Local / CI → ./reports
+ * Parsed field lists, cached per raw setting.
  */
-const RESULTS_DIR = isFargate
-  ? '/tmp/artillery_results'
-  : path.join(PROJECT_ROOT, 'reports');
+const fieldsCache = new Map();
 
 /**
- * Ensure the results directory exists.
+ * Resolves the fields to capture for the current VU.
+ *
+ * @param {Object} vars - Artillery context vars
+ * @returns {Set<string>}
+ * @throws {Error} On an unknown field (hooks pass it to done / next)
  */
-if (!fs.existsSync(RESULTS_DIR)) {
-  fs.mkdirSync(RESULTS_DIR, { recursive: true });
+function metricsFields(vars) {
+  const raw = vars.metricsFields || process.env.METRICS_FIELDS || ALL_FIELDS;
+  const key = String(raw);
+  if (fieldsCache.has(key)) return fieldsCache.get(key);
+
+  const fields = (Array.isArray(raw) ? raw : String(raw).split(','))
+    .map(f => String(f).trim())
+    .filter(Boolean);
+
+  fields.forEach(f => {
+    if (!ALL_FIELDS.includes(f)) {
+      throw new Error(`Unknown metricsFields entry "${f}" (expected ${ALL_FIELDS.join(', ')})`);
+    }
+  });
+
+  fieldsCache.set(key, new Set(fields));
+  return fieldsCache.get(key);
 }
 
 /**
- * Result file paths.
+ * Size of a request / response body in bytes.
  */
-const METRICS_FILE = path.join(RESULTS_DIR, 'artillery-metrics.jsonl');
-const IDS_FILE = path.join(RESULTS_DIR, 'created_products.txt');
+function bodyBytes(body) {
+  if (body === undefined || body === null) return 0;
+  if (Buffer.isBuffer(body)) return body.length;
+  return Buffer.byteLength(typeof body === 'string' ? body : JSON.stringify(body));
+}
 
 /**
- * ------------------------------------------------------------
- * DIAGNOSTIC LOGGING
- * ------------------------------------------------------------
+ * Collects the selected timing phases and metadata.
+ *
+ * @param {Object} requestParams - Artillery request params
+ * @param {Object} response - Artillery response object
+ * @param {Object} userContext - Artillery context
+ * @param {Set<string>} fields - Fields to capture
  */
+function requestDetails(requestParams, response, userContext, fields) {
+  const details = {};
+  const phases = response.timings?.phases || {};
+
+  const phasesMs = {};
+  TIMING_PHASES.forEach(phase => {
+    if (fields.has(phase) && typeof phases[phase] === 'number') {
+      phasesMs[phase] = phases[phase];
+    }
+  });
+  if (Object.keys(phasesMs).length > 0) details.phasesMs = phasesMs;
+
+  if (fields.has('requestBytes')) {
+    details.requestBytes = bodyBytes(
+      requestParams.json !== undefined ? requestParams.json : requestParams.body
+    );
+  }
 
-// console.log('🧭 Execution Environment:', isFargate ? 'FARGATE' : 'LOCAL / CI');
-// console.log('📁 Results directory:', RESULTS_DIR);
-// console.log('📝 Metrics file:', METRICS_FILE);
-// console.log('📝 Product IDs file:', IDS_FILE);
+  if (fields.has('responseBytes')) {
+    const contentLength = Number(response.headers?.['content-length']);
+    details.responseBytes = Number.isFinite(contentLength)
+      ? contentLength
+      : bodyBytes(response.body);
+  }
+
+  if (fields.has('requestId')) {
+    const header = REQUEST_ID_HEADERS.find(h => response.headers?.[h]);
+    details.requestId = header ? response.headers[header] : null;
+  }
 
-// if (isFargate) {
-//   console.log('🧪 ARTILLERY_TEST_RUN_ID:', ARTILLERY_RUN_ID);
-//   console.log('📦 S3 Upload Prefix:', S3_RUN_PREFIX);
-//   console.log('🪣 S3 Bucket:', S3_BUCKET);
-// }
+  if (fields.has('vuId')) details.vuId = userContext._uid;
+  if (fields.has('scenario')) details.scenario = userContext.scenario?.name || 'UNKNOWN';
+
+  return details;
+}
 
 /**
  * ------------------------------------------------------------
- * WRITE STREAMS
+ * AGGREGATION (metricsMode: aggregate)
  * ------------------------------------------------------------
  */
 
-/**
- * Streams stay open for the lifetime of the process.
- * This avoids filesystem overhead on every write.
- */
-const metricsStream = fs.createWriteStream(METRICS_FILE, { flags: 'a' });
-const idsStream = fs.createWriteStream(IDS_FILE, { flags: 'a' });
+const DEFAULT_METRICS_INTERVAL_SEC = 10;
 
 /**
- * ------------------------------------------------------------
- * S3 CLIENT (Fargate only)
- * ------------------------------------------------------------
+ * Resolves the metrics mode for the current VU.
+ *
+ * @param {Object} vars - Artillery context vars
+ * @returns {'raw'|'aggregate'}
+ * @throws {Error} On an unknown mode (hooks pass it to done / next)
  */
-const s3 = isFargate ? new AWS.S3({ region: 'us-east-1' }) : null;
+function metricsMode(vars) {
+  const mode = vars.metricsMode || process.env.METRICS_MODE || 'raw';
+  if (mode !== 'raw' && mode !== 'aggregate') {
+    throw new Error(`Unknown metricsMode "${mode}" (expected raw | aggregate)`);
+  }
+  return mode;
+}
 
 /**
- * ------------------------------------------------------------
- * S3 UPLOAD HELPERS
- * ------------------------------------------------------------
+ * Current interval, per request name:
+ *   name → { histogram, phases: { phase: histogram },
+ *            statusCodes: { code: count }, count,
+ *            schemaFailures, requestBytes, responseBytes }
  */
+let intervalStart = Date.now();
+let aggregates = {};
+let vusers = { started: 0, ended: 0 };
+let rollupTimer = null;
 
 /**
- * Uploads a local file to S3 under the Artillery run folder.
+ * Starts the rollup timer on first use; the interval comes from
+ * the first VU that records an aggregate.
  *
- * @param {string} localPath - Absolute path to the local file.
- * @param {string} filename - Base filename for the S3 object.
+ * @param {Object} vars - Artillery context vars
  */
-async function flushToS3(localPath, filename) {
-  if (!isFargate || !s3 || !S3_RUN_PREFIX) return;
+function ensureRollupTimer(vars) {
+  if (rollupTimer) return;
 
-  try {
-    /**
-     * Read the full file contents.
-     * This guarantees durability even if the container exits.
-     */
-    const data = fs.readFileSync(localPath);
-
-    /**
-     * Final S3 key matches Artillery’s artifact layout.
-     */
-    const s3Key = `${S3_RUN_PREFIX}/${filename}`;
-
-    await s3
-      .putObject({
-        Bucket: S3_BUCKET,
-        Key: s3Key,
-        Body: data
-      })
-      .promise();
-
-    // console.log(`✅ Flushed to s3://${S3_BUCKET}/${s3Key}`);
-  } catch (err) {
-    console.error('❌ S3 flush failed:', err);
-  }
+  const seconds =
+    Number(vars.metricsInterval || process.env.METRICS_INTERVAL) ||
+    DEFAULT_METRICS_INTERVAL_SEC;
+
+  intervalStart = Date.now();
+  rollupTimer = setInterval(rollup, seconds * 1000);
+  rollupTimer.unref();
 }
 
 /**
- * ------------------------------------------------------------
- * METRIC / ID WRITERS
- * ------------------------------------------------------------
+ * Writes one interval record per request name and starts
+ * a new interval.
  */
+function rollup() {
+  const intervalEnd = Date.now();
+  const periodSec = (intervalEnd - intervalStart) / 1000;
+  const worker = process.env.LOCAL_WORKER_ID || String(threadId);
+
+  Object.entries(aggregates).forEach(([name, aggregate]) => {
+    const phasesMs = {};
+    Object.entries(aggregate.phases).forEach(([phase, histogram]) => {
+      phasesMs[phase] = histogram.summary();
+    });
+
+    writeMetric({
+      ts: intervalEnd,
+      type: 'interval',
+      worker,
+      intervalStart,
+      intervalEnd,
+      name,
+      count: aggregate.count,
+      throughput: periodSec > 0 ? aggregate.count / periodSec : null,
+      statusCodes: aggregate.statusCodes,
+      latencyMs: aggregate.histogram.summary(),
+      histogram: aggregate.histogram.toJSON(),
+      ...(aggregate.schemaFailures ? { schemaFailures: aggregate.schemaFailures } : {}),
+      ...(Object.keys(phasesMs).length > 0 ? { phasesMs } : {}),
+      ...(aggregate.requestBytes !== undefined ? { requestBytes: aggregate.requestBytes } : {}),
+      ...(aggregate.responseBytes !== undefined ? { responseBytes: aggregate.responseBytes } : {})
+    });
+  });
+
+  if (vusers.started || vusers.ended) {
+    writeMetric({
+      ts: intervalEnd,
+      type: 'vusers_interval',
+      worker,
+      intervalStart,
+      intervalEnd,
+      started: vusers.started,
+      ended: vusers.ended
+    });
+  }
+
+  intervalStart = intervalEnd;
+  aggregates = {};
+  vusers = { started: 0, ended: 0 };
+}
 
 /**
- * Writes a single metric entry and immediately flushes to S3
- * when running in Fargate.
+ * Adds one response to the current interval.
  *
- * @param {Object} metric - Metric payload to persist.
+ * @param {string} name - Request name
+ * @param {number} statusCode - HTTP status
+ * @param {number} latency - Total latency in ms
+ * @param {Object} details - Output of requestDetails()
+ * @param {boolean} schemaFailed - Body failed validateResponse
  */
-async function writeMetric(metric) {
-  metricsStream.write(JSON.stringify(metric) + '\n');
-  // console.log('📈 Metric recorded:', metric);
-
-  await flushToS3(METRICS_FILE, 'artillery-metrics.jsonl');
+function aggregate(name, statusCode, latency, details, schemaFailed) {
+  const entry =
+    aggregates[name] ||
+    (aggregates[name] = { histogram: createHistogram(), phases: {}, statusCodes: {}, count: 0 });
+
+  entry.count++;
+  entry.statusCodes[statusCode] = (entry.statusCodes[statusCode] || 0) + 1;
+  entry.histogram.record(latency);
+  if (schemaFailed) entry.schemaFailures = (entry.schemaFailures || 0) + 1;
+
+  Object.entries(details.phasesMs || {}).forEach(([phase, value]) => {
+    (entry.phases[phase] || (entry.phases[phase] = createHistogram())).record(value);
+  });
+
+  ['requestBytes', 'responseBytes'].forEach(field => {
+    if (details[field] !== undefined) entry[field] = (entry[field] || 0) + details[field];
+  });
 }
 
 /**
- * Writes a product ID and immediately flushes to S3
- * when running in Fargate.
- *
- * @param {string} id - Product identifier to persist.
+ * Last interval is written on graceful stop and in the lifecycle
+ * plugin's cleanup() (awaited before the worker exits), then
+ * pushed through the sink.
  */
-async function writeProductId(id) {
-  idsStream.write(`${id}\n`);
-  console.log('📝 Logged productId:', id);
-
-  await flushToS3(IDS_FILE, 'created_products.txt');
-}
+lifecycle.onShutdown('metrics.processor', async () => {
+  if (rollupTimer) rollup();
+  await sink.flush();
+});
 
 /**
  * ------------------------------------------------------------
@@ -212,6 +329,19 @@ async function writeProductId(id) {
  * Called when a virtual user starts.
  */
 function scenarioStart(userContext, events, done) {
+  let mode;
+  try {
+    mode = metricsMode(userContext.vars);
+  } catch (err) {
+    return done(err);
+  }
+
+  if (mode === 'aggregate') {
+    ensureRollupTimer(userContext.vars);
+    vusers.started++;
+    return done();
+  }
+
   const metric = {
     ts: Date.now(),
     type: 'vuser_start',
@@ -225,6 +355,19 @@ function scenarioStart(userContext, events, done) {
  * Called when a virtual user ends.
  */
 function scenarioEnd(userContext, events, done) {
+  let mode;
+  try {
+    mode = metricsMode(userContext.vars);
+  } catch (err) {
+    return done(err);
+  }
+
+  if (mode === 'aggregate') {
+    ensureRollupTimer(userContext.vars);
+    vusers.ended++;
+    return done();
+  }
+
   const metric = {
     ts: Date.now(),
     type: 'vuser_end',
@@ -235,36 +378,53 @@ function scenarioEnd(userContext, events, done) {
 }
 
 /**
- * Captures per-request latency and status metrics.
+ * Captures per-request latency and status metrics
+ * (raw line or interval aggregate, see metricsMode).
  */
 function captureMetrics(requestParams, response, userContext, ee, next) {
   const latency = response?.timings?.phases?.total;
 
-  if (typeof latency === 'number') {
+  if (typeof latency !== 'number') return next();
+
+  let mode;
+  let fields;
+  try {
+    mode = metricsMode(userContext.vars);
+    fields = metricsFields(userContext.vars);
+  } catch (err) {
+    // Unknown metricsMode / metricsFields entry
+    return next(err);
+  }
+
+  const details = requestDetails(requestParams, response, userContext, fields);
+
+  if (mode === 'aggregate') {
+    ensureRollupTimer(userContext.vars);
+    aggregate(requestParams.name || 'UNNAMED', response.statusCode, latency, details, Boolean(response.schemaErrors));
+    next();
+  } else {
     const metric = {
       ts: Date.now(),
       type: 'request',
       name: requestParams.name || 'UNNAMED',
       method: requestParams.method,
       statusCode: response.statusCode,
-      latencyMs: latency
+      latencyMs: latency,
+      ...(response.schemaErrors ? { schemaFailed: true } : {}),
+      ...details
     };
 
     writeMetric(metric).finally(next);
-  } else {
-    next();
   }
 }
 
 /**
- * Logs product IDs returned by successful create requests.
+ * Records resources created by successful create requests
+ * in the resource ledger.
  */
 function logProductId(requestParams, response, userContext, ee, next) {
-  if (response.statusCode === 201 && userContext.vars.productId) {
-    writeProductId(userContext.vars.productId).finally(next);
-  } else {
-    next();
-  }
+  ledger.recordFromResponse(requestParams, response, userContext);
+  next();
 }
 
 /**
@@ -273,26 +433,17 @@ function logProductId(requestParams, response, userContext, ee, next) {
  * ------------------------------------------------------------
  */
 
-let globalErrorCount = 0;
-const ERROR_THRESHOLD = 50_000;
-let shuttingDown = false;
-
 /**
- * Tracks HTTP errors and terminates the process
- * if a hard threshold is reached.
+ * Feeds every response into the rolling-window circuit
+ * breaker (see circuit.breaker.js for settings and actions).
  */
 function logResponse(requestParams, response, userContext, ee, next) {
-  if (response.statusCode >= 400) {
-    globalErrorCount++;
-    // console.log(`⚠️ Error #${globalErrorCount}: ${response.statusCode}`);
-
-    if (!shuttingDown && globalErrorCount >= ERROR_THRESHOLD) {
-      shuttingDown = true;
-      // console.log('🚨 Error threshold reached — shutting down...');
-      setTimeout(() => process.kill(process.pid, 'SIGTERM'), 50);
-    }
+  try {
+    breaker.observe(requestParams, response, userContext, ee);
+  } catch (err) {
+    // Invalid breaker settings
+    return next(err);
   }
-
   next();
 }
 
@@ -0,0 +1,270 @@
+/**
+ * ============================================================
+ * POINTER BACKENDS
+ * ============================================================
+ * Shared row pointers for the pool processor.
+ *
+ * Every backend exposes the same promise-based contract:
+ *   claim(key, count)  → first claimed index; the caller now owns
+ *                        rows [start, start + count)
+ *   reset(key, runId)  → rewinds the pointer to 0 once per run,
+ *                        no matter how many workers ask
+ *
+ * Backends:
+ *  - lockfile:
+ *      Pointer file guarded by an O_EXCL lock file.
+ *      Safe across Artillery worker threads and processes
+ *      that share one filesystem.
+ *
+ *  - http:
+ *      Remote atomic counter (Redis INCRBY-style).
+ *      Safe across Fargate tasks. `pointer.server.js` is a
+ *      local stand-in that speaks the same protocol.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { threadId } = require('worker_threads');
+
+/**
+ * ------------------------------------------------------------
+ * LOCK-FILE BACKEND
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Lock acquisition tuning.
+ */
+const LOCK_RETRY_MS = 5;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+
+/**
+ * Locks taken by this thread, for owner tokens.
+ */
+let lockCount = 0;
+
+/**
+ * Sleeps for the given number of milliseconds.
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs `fn` while holding an exclusive lock file.
+ * The lock is created with O_EXCL ('wx'), so only one
+ * thread or process can hold it at a time. Locks older
+ * than LOCK_STALE_MS are assumed abandoned and removed.
+ * The lock file holds an owner token; it is only removed
+ * afterwards if it is still ours (not taken over as stale).
+ *
+ * @param {string} lockPath - Absolute path of the lock file
+ * @param {Function} fn - Synchronous critical section
+ */
+async function withLock(lockPath, fn) {
+  const started = Date.now();
+  const token = `${process.pid}:${threadId}:${++lockCount}`;
+
+  for (;;) {
+    let fd;
+    try {
+      fd = fs.openSync(lockPath, 'wx');
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+
+      try {
+        const age = Date.now() - fs.statSync(lockPath).mtimeMs;
+        if (age > LOCK_STALE_MS) fs.unlinkSync(lockPath);
+      } catch (statErr) {
+        // Lock released between open and stat; just retry
+      }
+
+      if (Date.now() - started > LOCK_TIMEOUT_MS) {
+        throw new Error(`Timed out waiting for pointer lock: ${lockPath}`);
+      }
+
+      await delay(LOCK_RETRY_MS + Math.floor(Math.random() * LOCK_RETRY_MS));
+      continue;
+    }
+
+    try {
+      fs.writeSync(fd, token);
+      return fn();
+    } finally {
+      fs.closeSync(fd);
+      releaseLock(lockPath, token);
+    }
+  }
+}
+
+/**
+ * Removes a lock file if it still holds `token`.
+ */
+function releaseLock(lockPath, token) {
+  try {
+    if (fs.readFileSync(lockPath, 'utf8') === token) fs.unlinkSync(lockPath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+/**
+ * Creates a lock-file backend storing pointers in `dir`.
+ * Files per key:
+ *   .<key>.pointer       - next unclaimed index
+ *   .<key>.pointer.lock  - O_EXCL lock
+ *   .<key>.pointer.run   - run id of the last reset
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Writable pointer directory
+ */
+function createLockFileBackend({ dir }) {
+  const files = key => {
+    const pointerFile = path.resolve(dir, `.${key}.pointer`);
+    return {
+      pointerFile,
+      lockFile: `${pointerFile}.lock`,
+      runFile: `${pointerFile}.run`
+    };
+  };
+
+  const readIndex = file =>
+    fs.existsSync(file) ? parseInt(fs.readFileSync(file, 'utf8'), 10) || 0 : 0;
+
+  return {
+    name: 'lockfile',
+
+    claim(key, count) {
+      const { pointerFile, lockFile } = files(key);
+      return withLock(lockFile, () => {
+        const start = readIndex(pointerFile);
+        fs.writeFileSync(pointerFile, String(start + count));
+        return start;
+      });
+    },
+
+    reset(key, runId) {
+      const { pointerFile, lockFile, runFile } = files(key);
+      return withLock(lockFile, () => {
+        const lastRun = fs.existsSync(runFile) ? fs.readFileSync(runFile, 'utf8') : null;
+        if (runId && lastRun === runId) return false;
+
+        fs.writeFileSync(pointerFile, '0');
+        if (runId) fs.writeFileSync(runFile, runId);
+        return true;
+      });
+    }
+  };
+}
+
+/**
+ * ------------------------------------------------------------
+ * HTTP BACKEND
+ * ------------------------------------------------------------
+ */
+
+/**
+ * POSTs a JSON body and resolves with the parsed JSON response.
+ *
+ * @param {string} url - Absolute URL
+ * @param {Object} payload - JSON body
+ */
+function postJson(url, payload) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  const body = JSON.stringify(payload);
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      {
+        hostname: target.hostname,
+        port: target.port || undefined,
+        path: `${target.pathname}${target.search}`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        }
+      },
+      res => {
+        let data = '';
+        res.on('data', d => data += d);
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            return reject(new Error(`Pointer server returned ${res.statusCode} for ${url}`));
+          }
+          try {
+            resolve(JSON.parse(data));
+          } catch (err) {
+            reject(new Error(`Pointer server sent invalid JSON for ${url}`));
+          }
+        });
+      }
+    );
+
+    req.on('error', reject);
+    req.write(body);
+    req.end();
+  });
+}
+
+/**
+ * Creates an HTTP backend.
+ * Protocol:
+ *   POST <baseUrl>/pointers/<key>/claim  { count } → { start }
+ *   POST <baseUrl>/pointers/<key>/reset  { runId } → { reset }
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - Pointer service base URL
+ */
+function createHttpBackend({ baseUrl }) {
+  if (!baseUrl) {
+    throw new Error('HTTP pointer backend requires pointerUrl / POINTER_URL');
+  }
+
+  const endpoint = (key, action) =>
+    `${baseUrl.replace(/\/$/, '')}/pointers/${encodeURIComponent(key)}/${action}`;
+
+  return {
+    name: 'http',
+
+    async claim(key, count) {
+      const { start } = await postJson(endpoint(key, 'claim'), { count });
+      return Number(start);
+    },
+
+    async reset(key, runId) {
+      const { reset } = await postJson(endpoint(key, 'reset'), { runId });
+      return Boolean(reset);
+    }
+  };
+}
+
+/**
+ * ------------------------------------------------------------
+ * FACTORY
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Creates a pointer backend by name.
+ *
+ * @param {string} type - 'lockfile' | 'http'
+ * @param {Object} options - Backend specific options
+ */
+function createPointerBackend(type, options) {
+  switch (type) {
+    case 'lockfile': return createLockFileBackend(options);
+    case 'http': return createHttpBackend(options);
+    default: throw new Error(`Unknown pointer backend: ${type}`);
+  }
+}
+
+module.exports = {
+  createPointerBackend,
+  withLock,
+  LOCK_STALE_MS
+};
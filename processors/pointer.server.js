@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * POINTER SERVER (LOCAL STAND-IN)
+ * ============================================================
+ * Minimal HTTP counter service for the `http` pointer backend.
+ * Stands in for the shared store (Redis, DynamoDB, ...) used
+ * when several machines consume the same CSV pool.
+ *
+ * Usage:
+ *   node processors/pointer.server.js [port]
+ *   require('./pointer.server').createPointerServer() (tests)
+ *
+ * Then in YAML:
+ *   pointerBackend: "http"
+ *   pointerUrl: "http://localhost:7070"
+ *
+ * Counters live in memory only; restarting the server
+ * rewinds every pool to row 0.
+ */
+
+const http = require('http');
+
+/**
+ * Sends a JSON response.
+ */
+function reply(res, status, payload) {
+  const body = JSON.stringify(payload);
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body)
+  });
+  res.end(body);
+}
+
+/**
+ * Creates the server (not listening yet).
+ *
+ * @returns {http.Server}
+ */
+function createPointerServer() {
+  /**
+   * key → { index: number, runId: string|null }
+   */
+  const pointers = {};
+
+  return http.createServer((req, res) => {
+    const match = /^\/pointers\/([^/]+)\/(claim|reset)$/.exec(req.url);
+
+    if (req.method !== 'POST' || !match) {
+      return reply(res, 404, { error: 'Not found' });
+    }
+
+    let raw = '';
+    req.on('data', d => raw += d);
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = raw ? JSON.parse(raw) : {};
+      } catch (err) {
+        return reply(res, 400, { error: 'Invalid JSON' });
+      }
+
+      const key = decodeURIComponent(match[1]);
+      const pointer = pointers[key] || (pointers[key] = { index: 0, runId: null });
+
+      /**
+       * Node handles each request to completion on one thread,
+       * so read-then-increment here is atomic.
+       */
+      if (match[2] === 'claim') {
+        const count = Math.max(1, Number(payload.count) || 1);
+        const start = pointer.index;
+        pointer.index += count;
+        return reply(res, 200, { start });
+      }
+
+      if (payload.runId && pointer.runId === payload.runId) {
+        return reply(res, 200, { reset: false });
+      }
+
+      pointer.index = 0;
+      pointer.runId = payload.runId || null;
+      return reply(res, 200, { reset: true });
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2] || process.env.POINTER_PORT || 7070);
+  const server = createPointerServer();
+
+  server.listen(port, () => {
+    console.log(`🔢 Pointer server listening on http://localhost:${server.address().port}`);
+  });
+}
+
+module.exports = {
+  createPointerServer
+};
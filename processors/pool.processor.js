@@ -7,7 +7,8 @@
  * Guarantees:
  *  - No duplicate usage within a run
  *  - Pointer persistence across runs (local/CI only)
- *  - Safe concurrent access across VUs
+ *  - Safe concurrent access across VUs, workers and hosts
+ *    (see pointer.backends.js)
  *  - Graceful stop when data runs out
  *
  * Environment behavior:
@@ -22,6 +23,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { createPointerBackend } = require('./pointer.backends');
+const { parseCsv, compileFilter } = require('./csv.parser');
+const lifecycle = require('./lifecycle');
 
 /**
  * ------------------------------------------------------------
@@ -62,22 +66,172 @@ if (!fs.existsSync(POINTER_DIR)) {
 
 /**
  * CSV pools loaded once per worker process.
- * Keyed by filename.
+ * Keyed by filename. Each entry is an array of records:
+ * objects when the file has a header row, arrays otherwise.
  */
 const pools = {};
 
 /**
- * Indicates whether the data pool is fully consumed.
- * Once drained, all VUs skip further work.
+ * Files whose data pool is fully consumed (mode: unique).
+ * Once drained, all VUs for that file skip further work.
  */
-let isDrained = false;
+const drained = {};
 
 /**
- * Tracks pointer reset per file to ensure reset
+ * Per-worker cursors for mode: sequential.
+ */
+const cursors = {};
+
+/**
+ * Cumulative weights per file for mode: weighted.
+ */
+const weightTables = {};
+
+/**
+ * Supported selection modes and drain actions.
+ */
+const MODES = ['unique', 'sequential', 'recycle', 'random', 'weighted'];
+const DRAIN_ACTIONS = ['stop', 'loop', 'skip'];
+
+/**
+ * Pending/finished pointer reset per file to ensure reset
  * happens only once per run (not per VU).
  */
 const pointerResetDone = {};
 
+/**
+ * Row ranges claimed by this worker but not yet handed out.
+ * Keyed by filename: { next, end }.
+ */
+const claimedBlocks = {};
+
+/**
+ * Pointer backends, created lazily per backend type.
+ */
+const backends = {};
+
+/**
+ * Returns the configured pointer backend.
+ *
+ * @param {Object} vars - Artillery context vars
+ */
+function getBackend(vars) {
+  const type = vars.pointerBackend || process.env.POINTER_BACKEND || 'lockfile';
+
+  if (!backends[type]) {
+    backends[type] = createPointerBackend(type, {
+      dir: POINTER_DIR,
+      baseUrl: vars.pointerUrl || process.env.POINTER_URL
+    });
+  }
+
+  return backends[type];
+}
+
+/**
+ * Run identifier used to make pointer resets happen once per run
+ * across all workers (not once per worker). Same order as
+ * artifact.sink.js; the lifecycle plugin sets RUN_ID for local
+ * runs before the workers start.
+ */
+function currentRunId() {
+  return process.env.ARTILLERY_TEST_RUN_ID ||
+    process.env.RUN_ID ||
+    (global.artillery && global.artillery.testRunId) ||
+    null;
+}
+
+/**
+ * Returns the next row index for this worker, claiming a new
+ * block from the shared pointer when the local block is used up.
+ *
+ * @param {Object} backend - Pointer backend
+ * @param {string} fileName - Pool key
+ * @param {number} blockSize - Rows to claim per round trip
+ */
+async function nextIndex(backend, fileName, blockSize) {
+  const block = claimedBlocks[fileName];
+
+  if (block && block.next < block.end) {
+    return block.next++;
+  }
+
+  const start = await backend.claim(path.basename(fileName), blockSize);
+  claimedBlocks[fileName] = { next: start + 1, end: start + blockSize };
+  return start;
+}
+
+/**
+ * Builds the cumulative weight table for weighted selection.
+ * Rows with a missing or non-positive weight are never picked.
+ *
+ * @param {Array} records - Pool records
+ * @param {string|number} weightColumn - Header name or column index
+ */
+function buildWeightTable(records, weightColumn) {
+  const cumulative = [];
+  let total = 0;
+
+  records.forEach(record => {
+    const weight = Number(record[weightColumn]);
+    total += Number.isFinite(weight) && weight > 0 ? weight : 0;
+    cumulative.push(total);
+  });
+
+  return { cumulative, total };
+}
+
+/**
+ * Picks a row index proportionally to its weight (binary search).
+ *
+ * @param {{ cumulative: number[], total: number }} table
+ */
+function pickWeighted(table) {
+  const target = Math.random() * table.total;
+  let lo = 0;
+  let hi = table.cumulative.length - 1;
+
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (table.cumulative[mid] > target) hi = mid;
+    else lo = mid + 1;
+  }
+
+  return lo;
+}
+
+/**
+ * Copies a CSV record into context variables.
+ *
+ *  - Array columnMap  → positional (header or not)
+ *  - Object columnMap → { columnName: varName }
+ *  - Header, no map   → every column under its own name
+ *  - Otherwise        → first column into targetVar
+ *
+ * @param {Object|Array} record - Parsed CSV record
+ * @param {Object} vars - Artillery context vars
+ * @param {Array|Object} columnMap - Optional mapping
+ * @param {string} targetVar - Fallback variable name
+ */
+function mapRecord(record, vars, columnMap, targetVar) {
+  const values = Array.isArray(record) ? record : Object.values(record);
+
+  if (Array.isArray(columnMap)) {
+    columnMap.forEach((varName, i) => {
+      vars[varName] = values[i];
+    });
+  } else if (columnMap && typeof columnMap === 'object' && !Array.isArray(record)) {
+    Object.entries(columnMap).forEach(([column, varName]) => {
+      vars[varName] = record[column];
+    });
+  } else if (!Array.isArray(record)) {
+    Object.assign(vars, record);
+    if (!(targetVar in record)) vars[targetVar] = values[0];
+  } else {
+    vars[targetVar] = values[0];
+  }
+}
+
 /**
  * ------------------------------------------------------------
  * CORE POOL LOGIC
@@ -88,24 +242,69 @@ const pointerResetDone = {};
  * Pulls the next row from a CSV file and maps it to variables.
  *
  * Supported YAML variables:
- *   sourceFile   - CSV filename (relative to project root)
+ *   sourceFile   - CSV filename (relative to project root);
+ *                  an empty value is an error, for scripts that
+ *                  require it per run (cleanup.yml)
  *   targetVar    - Single variable name (default: productId)
- *   columnMap    - Array of variable names for multi-column CSV
- *   resetPointer - Boolean: reset pointer at start of run
+ *   columnMap    - Array of variable names (positional), or an object
+ *                  mapping header names to variable names
+ *   hasHeader    - Boolean: first row holds column names. Without a
+ *                  columnMap every column becomes a variable of that name
+ *   coerceTypes  - Boolean: convert numbers / booleans / null
+ *   rowFilter    - Expression rows must satisfy, e.g.
+ *                  "stock > 0 && category == 'Electronics'"
+ *                  (json.path.js predicate syntax, an invalid one
+ *                  is an error; header, coercion and filter are
+ *                  fixed per file by the first VU that loads it)
+ *   mode         - How rows are picked (same names as PerformanceFramework.getCSVData):
+ *                    unique     (default) each row at most once per run,
+ *                               shared pointer across workers
+ *                    sequential file order, per-worker cursor, wraps around
+ *                    recycle    shared pointer across workers, wraps around
+ *                    random     any row, every time
+ *                    weighted   random, proportional to `weightColumn`
+ *   weightColumn - Header name (or column index) holding row weights
+ *   onDrain      - mode: unique only, when every row is used:
+ *                    stop (default) end the test gracefully
+ *                                   (see lifecycle.js, `stopAction`)
+ *                    loop           start over from the first row
+ *                    skip           keep running, flag VUs with skipMe
+ *   resetPointer - Boolean: reset pointer at start of run; needs a
+ *                  run id shared by every worker (lifecycle plugin,
+ *                  RUN_ID or ARTILLERY_TEST_RUN_ID)
+ *   pointerBackend   - 'lockfile' (default) | 'http'  (env: POINTER_BACKEND)
+ *   pointerUrl       - Base URL for the http backend   (env: POINTER_URL)
+ *   pointerBlockSize - Rows claimed per pointer round trip (default 1)
  */
 function pullFromPool(userContext, events, done) {
-  /**
-   * If the pool is already drained, skip this VU entirely.
-   */
-  if (isDrained) {
-    userContext.vars.skipMe = true;
-    return done();
+  if (userContext.vars.sourceFile === '') {
+    return done(new Error('sourceFile is empty; set it to the CSV to read (e.g. --variables)'));
   }
 
   const fileName = userContext.vars.sourceFile || 'created_products.csv';
   const targetVar = userContext.vars.targetVar || 'productId';
   const columnMap = userContext.vars.columnMap;
   const resetPointer = userContext.vars.resetPointer === true;
+  const mode = String(
+    userContext.vars.mode || (userContext.vars.recycleData === true ? 'recycle' : 'unique')
+  ).toLowerCase();
+  const onDrain = String(userContext.vars.onDrain || 'stop').toLowerCase();
+
+  if (!MODES.includes(mode)) {
+    return done(new Error(`Unknown pool mode "${mode}" (expected ${MODES.join(' | ')})`));
+  }
+  if (!DRAIN_ACTIONS.includes(onDrain)) {
+    return done(new Error(`Unknown onDrain "${onDrain}" (expected ${DRAIN_ACTIONS.join(' | ')})`));
+  }
+
+  /**
+   * If the pool is already drained (or the run is stopping),
+   * skip this VU entirely.
+   */
+  if (drained[fileName] || lifecycle.isStopping()) {
+    userContext.vars.skipMe = true;
+    return done();
+  }
 
   /**
    * ----------------------------------------------------------
@@ -121,66 +320,124 @@ function pullFromPool(userContext, events, done) {
       return done(new Error(`CSV not found at path: ${csvPath}`));
     }
 
-    pools[fileName] = fs
-      .readFileSync(csvPath, 'utf8')
-      .replace(/^\uFEFF/, '') // Strip BOM if present
-      .split(/\r?\n/)
-      .map(line => line.trim())
-      .filter(Boolean);
+    let rowFilter = null;
+    if (userContext.vars.rowFilter) {
+      try {
+        rowFilter = compileFilter(userContext.vars.rowFilter);
+      } catch (err) {
+        return done(new Error(`Invalid rowFilter: ${err.message}`));
+      }
+    }
+
+    try {
+      const { records } = parseCsv(fs.readFileSync(csvPath, 'utf8'), {
+        header: userContext.vars.hasHeader === true,
+        coerce: userContext.vars.coerceTypes === true
+      });
+
+      pools[fileName] = rowFilter ? records.filter(rowFilter) : records;
+    } catch (err) {
+      return done(new Error(`Failed to load CSV ${csvPath}: ${err.message}`));
+    }
+  }
+
+  const rows = pools[fileName];
+
+  if (rows.length === 0) {
+    return done(new Error(`CSV pool ${fileName} has no usable rows`));
   }
 
   /**
    * ----------------------------------------------------------
-   * POINTER FILE RESOLUTION
+   * LOCAL MODES (NO SHARED POINTER)
    * ----------------------------------------------------------
-   * Pointer is stored in:
-   *  - /tmp/artillery_results (Fargate)
-   *  - project root (local / CI)
    */
-  const pointerFile = path.resolve(
-    POINTER_DIR,
-    `.${path.basename(fileName)}.pointer`
-  );
+  if (mode === 'random' || mode === 'weighted' || mode === 'sequential') {
+    let index;
+
+    if (mode === 'random') {
+      index = Math.floor(Math.random() * rows.length);
+    } else if (mode === 'weighted') {
+      const weightColumn = userContext.vars.weightColumn;
+      if (weightColumn === undefined) {
+        return done(new Error('mode: weighted requires weightColumn'));
+      }
+      if (!weightTables[fileName]) {
+        weightTables[fileName] = buildWeightTable(rows, weightColumn);
+      }
+      if (weightTables[fileName].total <= 0) {
+        return done(new Error(`No positive weights in column "${weightColumn}" of ${fileName}`));
+      }
+      index = pickWeighted(weightTables[fileName]);
+    } else {
+      cursors[fileName] = cursors[fileName] || 0;
+      index = cursors[fileName]++ % rows.length;
+    }
+
+    mapRecord(rows[index], userContext.vars, columnMap, targetVar);
+    userContext.vars.skipMe = false;
+    return done();
+  }
+
+  const backend = getBackend(userContext.vars);
+  const blockSize = Math.max(1, parseInt(userContext.vars.pointerBlockSize, 10) || 1);
 
-  try {
+  (async () => {
     /**
      * --------------------------------------------------------
      * RESET POINTER (ONCE PER RUN, IF REQUESTED)
      * --------------------------------------------------------
      */
     if (resetPointer && !pointerResetDone[fileName]) {
-      fs.writeFileSync(pointerFile, '0');
-      pointerResetDone[fileName] = true;
-      // console.log('🔄 Pointer reset:', pointerFile);
+      const runId = currentRunId();
+      if (!runId) {
+        // Without it every worker would rewind the shared pointer
+        throw new Error('resetPointer needs a run id shared by every worker: load the lifecycle plugin or set RUN_ID');
+      }
+      pointerResetDone[fileName] = backend.reset(path.basename(fileName), runId);
     }
 
     /**
-     * Ensure pointer file exists.
+     * VUs arriving while the reset is in flight wait for it.
      */
-    if (!fs.existsSync(pointerFile)) {
-      fs.writeFileSync(pointerFile, '0');
+    if (pointerResetDone[fileName]) {
+      await pointerResetDone[fileName];
     }
 
     /**
-     * Read current pointer value.
+     * Claim the next row (from the local block when possible).
      */
-    const index =
-      parseInt(fs.readFileSync(pointerFile, 'utf8'), 10) || 0;
+    let index = await nextIndex(backend, fileName, blockSize);
 
     /**
      * --------------------------------------------------------
      * END-OF-DATA HANDLING
      * --------------------------------------------------------
+     * recycle (and unique with onDrain: loop) wrap around;
+     * unique otherwise drains the pool.
      */
-    if (index >= pools[fileName].length) {
-      console.log('⏹️ DATA POOL DRAINED');
+    if (index >= rows.length) {
+      if (mode === 'recycle' || onDrain === 'loop') {
+        index %= rows.length;
+      } else {
+        console.log('⏹️ DATA POOL DRAINED');
 
-      isDrained = true;
-      userContext.vars.skipMe = true;
+        if (!drained[fileName]) {
+          drained[fileName] = true;
+          events.emit('counter', 'pool.drained', 1);
+        }
+        userContext.vars.skipMe = true;
 
-      /// Gracefully stop the test shortly
-      setTimeout(() => process.kill(process.pid, 'SIGTERM'), 50);
-      return done();
+        if (onDrain === 'stop') {
+          /// Flush artifacts and end the run gracefully
+          lifecycle
+            .requestStop(`Data pool drained: ${fileName}`, {
+              action: userContext.vars.stopAction
+            })
+            .catch(err => console.error('❌ Graceful stop failed:', err));
+        }
+        return;
+      }
     }
 
     /**
@@ -188,27 +445,10 @@ function pullFromPool(userContext, events, done) {
      * MAP CSV ROW TO CONTEXT VARIABLES
      * --------------------------------------------------------
      */
-    const row = pools[fileName][index].split(',');
-
-    if (Array.isArray(columnMap)) {
-      columnMap.forEach((varName, i) => {
-        userContext.vars[varName] = row[i]?.trim();
-      });
-    } else {
-      userContext.vars[targetVar] = row[0]?.trim();
-    }
-
-    /**
-     * Advance pointer for the next VU.
-     */
-    fs.writeFileSync(pointerFile, String(index + 1));
+    mapRecord(rows[index], userContext.vars, columnMap, targetVar);
 
     userContext.vars.skipMe = false;
-  } catch (err) {
-    return done(err);
-  }
-
-  return done();
+  })().then(() => done(), err => done(err));
 }
 
 /**
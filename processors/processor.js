@@ -3,15 +3,181 @@
  * ARTILLERY PROCESSOR WRAPPER
  * ============================================================
  * Artillery loads THIS file.
- * We simply merge and export all functional processors.
+ * Every functional processor is exported twice:
+ *
+ *  - Namespaced, always the module's own implementation:
+ *      "metrics.logResponse", "pool.pullFromPool", ...
+ *    "logging.*" is kept as an alias of the metrics hooks
+ *    (logging.processor.js was merged into metrics).
+ *
+ *  - Unqualified ("logResponse"), resolved against the
+ *    active modules. When several modules export the same
+ *    name, the unqualified hook is a chain that runs every
+ *    active implementation in MODULES order, so nothing is
+ *    silently shadowed by require order.
+ *
+ * Settings:
+ *   processorModules  (YAML variable) / PROCESSOR_MODULES (env)
+ *       Active modules for unqualified hooks, e.g.
+ *         processorModules: ["auth", "pool", "metrics", "aws"]
+ *       Default: all modules. "logging" selects metrics.
+ *   PROCESSOR_STRICT=true (env, checked at load time)
+ *       Throw on any duplicate hook name instead of chaining.
  */
 
-module.exports = {
-  ...require('./auth.processor'),
-  ...require('./data.generator'),
-  ...require('./pool.processor'),
-  ...require('./metrics.processor'),
-  ...require('./logging.processor'),
-  ...require('./utils.processor'),
-  ...require('./aws_processor')
+/**
+ * Namespace → module, in chain order.
+ */
+const MODULES = {
+  auth: require('./auth.processor'),
+  data: require('./data.generator'),
+  schema: require('./schema.processor'),
+  pool: require('./pool.processor'),
+  metrics: require('./metrics.processor'),
+  utils: require('./utils.processor'),
+  aws: require('./aws_processor')
+};
+
+const NAMESPACES = Object.keys(MODULES);
+
+/**
+ * Former namespace → namespace that now provides its hooks.
+ */
+const ALIASES = {
+  logging: 'metrics'
 };
+
+/**
+ * ------------------------------------------------------------
+ * ACTIVE MODULES
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Parsed module lists, cached per raw setting.
+ */
+const activeCache = new Map();
+
+/**
+ * Resolves the active namespaces for the current VU.
+ *
+ * @param {Object} vars - Artillery context vars (may be undefined)
+ * @returns {Set<string>}
+ */
+function activeModules(vars) {
+  const raw = (vars && vars.processorModules) || process.env.PROCESSOR_MODULES || NAMESPACES;
+  const key = String(raw);
+  if (activeCache.has(key)) return activeCache.get(key);
+
+  const names = (Array.isArray(raw) ? raw : String(raw).split(','))
+    .map(n => String(n).trim())
+    .filter(Boolean)
+    .map(n => ALIASES[n] || n);
+
+  names.forEach(n => {
+    if (!MODULES[n]) {
+      throw new Error(`Unknown processor module "${n}" (expected ${NAMESPACES.join(', ')})`);
+    }
+  });
+
+  activeCache.set(key, new Set(names));
+  return activeCache.get(key);
+}
+
+/**
+ * Finds the Artillery context among hook arguments.
+ * Works for function steps, beforeRequest, afterResponse
+ * and onError signatures.
+ */
+function findContext(args) {
+  return args.find(a => a && typeof a === 'object' && a.vars && typeof a.vars === 'object');
+}
+
+/**
+ * ------------------------------------------------------------
+ * HOOK RESOLUTION
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Builds the unqualified hook for `name`.
+ * Every Artillery hook takes its callback last; each active
+ * implementation runs in turn, the first error ends the chain.
+ *
+ * @param {string} name - Hook name
+ * @param {Array<{ namespace: string, fn: Function }>} providers
+ */
+function resolveHook(name, providers) {
+  return function (...args) {
+    const done = args.pop();
+    let active;
+
+    try {
+      active = activeModules(findContext(args)?.vars);
+    } catch (err) {
+      return done(err);
+    }
+
+    const chain = providers.filter(p => active.has(p.namespace));
+    if (chain.length === 0) {
+      return done(new Error(
+        `Hook "${name}" is not provided by any active processor module ` +
+        `(provided by: ${providers.map(p => p.namespace).join(', ')})`
+      ));
+    }
+
+    const run = index => {
+      if (index === chain.length) return done();
+      chain[index].fn(...args, err => (err ? done(err) : run(index + 1)));
+    };
+
+    run(0);
+  };
+}
+
+/**
+ * ------------------------------------------------------------
+ * EXPORTS
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Hook name → providers, in MODULES order.
+ */
+const providersByName = {};
+
+NAMESPACES.forEach(namespace => {
+  Object.entries(MODULES[namespace]).forEach(([name, fn]) => {
+    if (typeof fn !== 'function') return;
+    (providersByName[name] ||= []).push({ namespace, fn });
+  });
+});
+
+const collisions = Object.entries(providersByName).filter(([, providers]) => providers.length > 1);
+
+if (collisions.length && process.env.PROCESSOR_STRICT === 'true') {
+  throw new Error(
+    'Duplicate processor hook names: ' +
+    collisions
+      .map(([name, providers]) => `${name} (${providers.map(p => p.namespace).join(', ')})`)
+      .join('; ') +
+    '. Use namespaced hooks such as "metrics.logResponse".'
+  );
+}
+
+const hooks = {};
+
+Object.entries(providersByName).forEach(([name, providers]) => {
+  providers.forEach(({ namespace, fn }) => {
+    hooks[`${namespace}.${name}`] = fn;
+  });
+  hooks[name] = resolveHook(name, providers);
+});
+
+Object.entries(ALIASES).forEach(([alias, namespace]) => {
+  Object.entries(MODULES[namespace]).forEach(([name, fn]) => {
+    if (typeof fn === 'function') hooks[`${alias}.${name}`] = fn;
+  });
+});
+
+module.exports = hooks;
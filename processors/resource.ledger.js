@@ -0,0 +1,93 @@
+/**
+ * ============================================================
+ * RESOURCE LEDGER
+ * ============================================================
+ * Durable record of every resource a load test creates.
+ *
+ * Written through the artifact sink as:
+ *   <runId>/created_resources.csv
+ *
+ *   id,type,runId,ts,clientId
+ *   6f1c...,product,local-20260101T120000-4242,2026-01-01T12:00:01.123Z,app-client-1
+ *
+ * The ledger is a regular header CSV, so it feeds straight into
+ * pullFromPool (hasHeader: true) for follow-up read tests and
+ * for app1/scripts/cleanup.yml, which replays it as DELETEs.
+ *
+ * Settings (YAML variables):
+ *   resourceIdVar - Variable holding the created id (default productId)
+ *   resourceType  - Type written to the ledger (default product)
+ */
+
+const sink = require('./artifact.sink');
+
+const LEDGER_ARTIFACT = 'created_resources.csv';
+const LEDGER_COLUMNS = ['id', 'type', 'runId', 'ts', 'clientId'];
+
+const ledger = sink.openArtifact(LEDGER_ARTIFACT, {
+  header: LEDGER_COLUMNS.join(',') + '\n'
+});
+
+/**
+ * Responses already recorded; a scenario may list the hook
+ * twice ("logProductId" and "metrics.logProductId").
+ */
+const recorded = new WeakSet();
+
+/**
+ * Quotes a CSV field when needed (RFC 4180).
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Appends one resource to the ledger.
+ *
+ * @param {Object} resource
+ * @param {string} resource.id - Resource identifier
+ * @param {string} resource.type - Resource type (e.g. product)
+ * @param {string} [resource.clientId] - Client that created it
+ */
+function recordResource({ id, type, clientId }) {
+  const row = {
+    id,
+    type,
+    runId: sink.getRunId(),
+    ts: new Date().toISOString(),
+    clientId
+  };
+
+  ledger.write(LEDGER_COLUMNS.map(c => csvField(row[c])).join(',') + '\n');
+}
+
+/**
+ * Records the resource created by a request, once per response.
+ *
+ * @param {Object} requestParams - Artillery request params
+ * @param {Object} response - Artillery response object
+ * @param {Object} userContext - Artillery context
+ * @returns {string|null} Recorded id, or null when nothing was recorded
+ */
+function recordFromResponse(requestParams, response, userContext) {
+  const vars = userContext.vars;
+  const id = vars[vars.resourceIdVar || 'productId'];
+
+  if (response.statusCode !== 201 || !id || recorded.has(response)) return null;
+  recorded.add(response);
+
+  recordResource({
+    id,
+    type: vars.resourceType || 'product',
+    clientId: vars.clientId
+  });
+
+  return id;
+}
+
+module.exports = {
+  LEDGER_ARTIFACT,
+  recordResource,
+  recordFromResponse
+};
@@ -0,0 +1,201 @@
+/**
+ * ============================================================
+ * S3 ARTIFACT UPLOADER
+ * ============================================================
+ * Batched, throttled uploads of processor artifacts.
+ *
+ * Replaces the "re-read the whole file and putObject it after
+ * every write" pattern, which was O(n²) in bytes and flooded
+ * S3 on Fargate.
+ *
+ * Behavior:
+ *  - Writes are buffered per artifact in memory
+ *  - A buffer is uploaded when it exceeds `maxBatchBytes`
+ *    or every `flushIntervalMs`, whichever comes first
+ *  - Each upload is a new part object, never a rewrite:
+ *      <prefix>/<workerTag>/artillery-metrics.part-0001.jsonl
+ *  - Failed uploads retry with exponential backoff; data that
+ *    still fails goes back into the buffer for the next flush
+ *  - A final flush runs on graceful stop and in the lifecycle
+ *    plugin's cleanup(), which the worker awaits before exiting
+ *
+ * Used by the s3 / s3-compatible targets of artifact.sink.js,
+ * which also reads the environment:
+ *  - S3_FLUSH_INTERVAL_MS Time-based batching (default 10000)
+ *  - S3_MAX_BATCH_BYTES   Size-based batching (default 5 MB)
+ */
+
+const os = require('os');
+const path = require('path');
+const { threadId } = require('worker_threads');
+const lifecycle = require('./lifecycle');
+
+/**
+ * ------------------------------------------------------------
+ * DEFAULTS
+ * ------------------------------------------------------------
+ */
+const DEFAULT_FLUSH_INTERVAL_MS = 10000;
+const DEFAULT_MAX_BATCH_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 250;
+
+/**
+ * Sleeps for the given number of milliseconds.
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Builds the part object name for an artifact:
+ *   artillery-metrics.jsonl + 1 → artillery-metrics.part-0001.jsonl
+ *
+ * @param {string} artifact - Artifact filename
+ * @param {number} partNumber - 1-based part counter
+ */
+function partName(artifact, partNumber) {
+  const ext = path.extname(artifact);
+  const base = artifact.slice(0, artifact.length - ext.length);
+  return `${base}.part-${String(partNumber).padStart(4, '0')}${ext}`;
+}
+
+/**
+ * Creates an S3 client. aws-sdk is only loaded when uploads
+ * are actually enabled, so local runs do not need it.
+ *
+ * @param {Object} options - region / endpoint / forcePathStyle
+ */
+function createS3Client({ region, endpoint, forcePathStyle }) {
+  const AWS = require('aws-sdk');
+  return new AWS.S3({
+    region,
+    ...(endpoint ? { endpoint, s3ForcePathStyle: forcePathStyle } : {})
+  });
+}
+
+/**
+ * Creates a batching uploader.
+ *
+ * @param {Object} options
+ * @param {string} options.bucket - Target bucket
+ * @param {string} options.prefix - Key prefix (no trailing slash)
+ * @param {Object} [options.s3] - Pre-built S3 client (tests / stand-ins)
+ * @param {string} [options.region]
+ * @param {string} [options.endpoint]
+ * @param {boolean} [options.forcePathStyle]
+ * @param {string} [options.workerTag] - Keeps parts of parallel workers apart
+ * @param {number} [options.flushIntervalMs]
+ * @param {number} [options.maxBatchBytes]
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.retryBaseMs]
+ */
+function createS3Uploader(options) {
+  const {
+    bucket,
+    prefix,
+    workerTag = `${os.hostname()}-${process.pid}-${threadId}`,
+    flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS,
+    maxBatchBytes = DEFAULT_MAX_BATCH_BYTES,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    retryBaseMs = DEFAULT_RETRY_BASE_MS
+  } = options;
+
+  const s3 = options.s3 || createS3Client(options);
+
+  /**
+   * artifact → { chunks: string[], bytes: number, part: number, inFlight: Promise }
+   */
+  const artifacts = {};
+
+  const stateFor = artifact =>
+    artifacts[artifact] ||
+    (artifacts[artifact] = { chunks: [], bytes: 0, part: 0, inFlight: Promise.resolve() });
+
+  /**
+   * Uploads one part with retry. Resolves true on success.
+   */
+  async function putWithRetry(key, body) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        await s3.putObject({ Bucket: bucket, Key: key, Body: body }).promise();
+        return true;
+      } catch (err) {
+        if (attempt === maxAttempts) {
+          console.error(`❌ S3 upload failed after ${attempt} attempt(s): s3://${bucket}/${key}`, err);
+          return false;
+        }
+        await delay(retryBaseMs * 2 ** (attempt - 1) + Math.floor(Math.random() * retryBaseMs));
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Uploads whatever is buffered for one artifact.
+   * Uploads per artifact are serialized so part numbers stay ordered.
+   */
+  function flushArtifact(artifact) {
+    const state = stateFor(artifact);
+
+    state.inFlight = state.inFlight.then(async () => {
+      if (state.bytes === 0) return;
+
+      const body = state.chunks.join('');
+      state.chunks = [];
+      state.bytes = 0;
+
+      const key = `${prefix}/${workerTag}/${partName(artifact, state.part + 1)}`;
+      const ok = await putWithRetry(key, body);
+
+      if (ok) {
+        state.part++;
+      } else {
+        // Keep the data for the next flush instead of dropping it
+        state.chunks.unshift(body);
+        state.bytes += Buffer.byteLength(body);
+      }
+    });
+
+    return state.inFlight;
+  }
+
+  /**
+   * Uploads every buffered artifact.
+   */
+  function flush() {
+    return Promise.all(Object.keys(artifacts).map(flushArtifact)).then(() => {});
+  }
+
+  const timer = setInterval(() => {
+    flush().catch(() => {});
+  }, flushIntervalMs);
+  timer.unref();
+
+  lifecycle.onShutdown(`s3.uploader:${prefix}`, flush);
+
+  return {
+    /**
+     * Buffers data for an artifact; uploads once the batch is full.
+     *
+     * @param {string} artifact - Artifact filename
+     * @param {string} text - Data to append
+     */
+    append(artifact, text) {
+      const state = stateFor(artifact);
+      state.chunks.push(text);
+      state.bytes += Buffer.byteLength(text);
+
+      if (state.bytes >= maxBatchBytes) {
+        flushArtifact(artifact).catch(() => {});
+      }
+    },
+
+    flush
+  };
+}
+
+module.exports = {
+  createS3Uploader,
+  partName
+};
@@ -0,0 +1,175 @@
+/**
+ * ============================================================
+ * SCHEMA PROCESSOR
+ * ============================================================
+ * Validates response bodies against JSON Schema / OpenAPI
+ * response schemas, so a 200 with the wrong shape (empty items,
+ * an API Gateway error envelope) no longer counts as success.
+ *
+ * Settings (YAML variables):
+ *   responseSchemas:          # request name → schema
+ *     GET_Products: "app1/schemas/products.json"
+ *     POST_Test: "app1/openapi.yml#/components/schemas/Product"
+ *     "*": { type: "object" } # inline schema, fallback for other names
+ *   schemaSampleRate: 10      # validate 1 in N responses per name
+ *                             # (env SCHEMA_SAMPLE_RATE, default 1)
+ *
+ * File schemas are JSON or YAML, relative to the project root;
+ * "#/..." selects a sub-schema, and $refs resolve inside the
+ * whole file (OpenAPI components work as they are).
+ *
+ * Only responses with status < 400 are validated; error statuses
+ * already count as failures.
+ *
+ * On failure:
+ *  - counter schema.failed.<name>
+ *  - response.schemaErrors is set, which captureMetrics records
+ *    (schemaFailed / schemaFailures) and logError reports
+ *
+ * Hook order matters, validate first:
+ *   afterResponse: ["validateResponse", "captureMetrics", "logError"]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validate, resolveRef, formatErrors } = require('./json.schema');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+/**
+ * ------------------------------------------------------------
+ * SCHEMA LOADING
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Parsed documents by file path.
+ */
+const documentCache = {};
+
+/**
+ * Loads a JSON or YAML document (relative to the project root).
+ */
+function loadDocument(file) {
+  if (documentCache[file]) return documentCache[file];
+
+  const filePath = path.resolve(PROJECT_ROOT, file);
+  const text = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  let doc;
+  if (ext === '.yml' || ext === '.yaml') {
+    let yaml;
+    try {
+      yaml = require('js-yaml');
+    } catch (err) {
+      throw new Error(`YAML schema ${file} requires the js-yaml package`);
+    }
+    doc = yaml.load(text);
+  } else {
+    doc = JSON.parse(text);
+  }
+
+  documentCache[file] = doc;
+  return doc;
+}
+
+/**
+ * Resolves a responseSchemas entry to { schema, root }.
+ *
+ * @param {Object|string} entry - Inline schema or "file[#pointer]"
+ * @returns {{ schema: Object, root: Object }}
+ */
+function resolveSchema(entry) {
+  if (typeof entry !== 'string') return { schema: entry, root: entry };
+
+  const [file, pointer] = entry.split('#');
+  const root = loadDocument(file);
+  return { schema: pointer ? resolveRef(root, `#${pointer}`) : root, root };
+}
+
+/**
+ * ------------------------------------------------------------
+ * SAMPLING
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Responses seen per request name (this worker).
+ */
+const seen = {};
+
+/**
+ * @returns {boolean} Whether this response is in the 1-in-N sample
+ */
+function sampled(name, vars) {
+  const rate = Math.max(1, Math.floor(Number(vars.schemaSampleRate || process.env.SCHEMA_SAMPLE_RATE) || 1));
+  seen[name] = (seen[name] || 0) + 1;
+  return (seen[name] - 1) % rate === 0;
+}
+
+/**
+ * ------------------------------------------------------------
+ * HOOK
+ * ------------------------------------------------------------
+ */
+
+/**
+ * Names already reported on the console (first failure only).
+ */
+const reported = new Set();
+
+/**
+ * Validates the response body against the schema of its
+ * request name (or "*").
+ */
+function validateResponse(requestParams, response, userContext, ee, next) {
+  const schemas = userContext.vars.responseSchemas;
+  const name = requestParams.name || 'UNNAMED';
+  const entry = schemas && (schemas[name] || schemas['*']);
+
+  if (!entry || response.statusCode >= 400 || !sampled(name, userContext.vars)) return next();
+
+  let resolved;
+  try {
+    resolved = resolveSchema(entry);
+  } catch (err) {
+    return next(err);
+  }
+
+  let body = response.body;
+  let errors;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (err) {
+      errors = [{ path: '$', message: 'is not valid JSON' }];
+    }
+  }
+
+  try {
+    errors = errors || validate(resolved.schema, body, resolved.root);
+  } catch (err) {
+    // Broken schema ($ref), not a response failure
+    return next(err);
+  }
+
+  ee.emit('counter', 'schema.validated', 1);
+
+  if (errors.length > 0) {
+    response.schemaErrors = errors;
+    ee.emit('counter', `schema.failed.${name}`, 1);
+
+    if (!reported.has(name)) {
+      reported.add(name);
+      console.warn(`⚠️ Schema validation failed for ${name}: ${formatErrors(errors)}`);
+    }
+    // console.log(`❌ ${name}: ${formatErrors(errors)}`);
+  }
+
+  next();
+}
+
+module.exports = {
+  validateResponse
+};
@@ -2,20 +2,222 @@
  * ============================================================
  * UTILITY PROCESSOR
  * ============================================================
- * Small helpers for correlation and weighted logic.
+ * Small helpers for correlation, weighted logic and
+ * run lifecycle.
  */
 
-let iterationCounter = 0;
+const lifecycle = require('./lifecycle');
+const breaker = require('./circuit.breaker');
+const jsonPath = require('./json.path');
+const { createLeaseStore, leaseKey, leaseTtlMs } = require('./correlation.leases');
 
 /**
- * Global iteration counter for weighted execution.
+ * Iterations per scenario name (this worker).
+ */
+const iterationCounters = {};
+
+/**
+ * Per-scenario iteration counter (1, 2, 3, ... per scenario
+ * name within this worker), exposed as `iterationNumber`.
  */
 function getIterationNumber(context, events, done) {
-  iterationCounter++;
-  context.vars.iterationNumber = iterationCounter;
+  const scenario = scenarioName(context);
+  iterationCounters[scenario] = (iterationCounters[scenario] || 0) + 1;
+  context.vars.iterationNumber = iterationCounters[scenario];
+  done();
+}
+
+/**
+ * @returns {string} Scenario name of the VU, or "default"
+ */
+function scenarioName(context) {
+  return (context.scenario && context.scenario.name) || 'default';
+}
+
+/**
+ * Flags the VU with skipMe once a graceful stop was requested
+ * (drained pool, circuit breaker) or while the circuit breaker
+ * pauses arrivals. Guard requests with:
+ *   - function: "skipIfStopping"
+ *   - get:
+ *       url: "/products/{{ productId }}"
+ *       ifTrue: "not skipMe"
+ */
+function skipIfStopping(context, events, done) {
+  context.vars.skipMe = lifecycle.isStopping() || breaker.isPaused();
+  done();
+}
+
+/**
+ * Flushes every processor stream and S3 upload.
+ * Intended for the script's `after` section.
+ */
+function flushArtifacts(context, events, done) {
+  lifecycle.flushAll().then(() => done());
+}
+
+/**
+ * ============================================================
+ * WEIGHTED ROUTING
+ * ============================================================
+ *
+ * Picks a route per iteration from a weight map and stores it in
+ * a variable, replacing hand-written modulo ifTrue logic.
+ *
+ * Settings (YAML variables):
+ *   routeWeights - { browse: 70, search: 20, checkout: 10 }
+ *   routeMode    - deterministic (default) | random
+ *   routeVar     - variable to set (default "route")
+ *
+ * deterministic: smooth weighted round-robin per scenario, so
+ *   every window of sum(weights) iterations hits the exact mix
+ *   (browse, search, browse, checkout, browse, ...).
+ * random: independent weighted draw per iteration.
+ *
+ * Every pick emits the counter route.<name>; the achieved mix of
+ * this worker is printed per scenario from the lifecycle plugin's
+ * cleanup() at the end of the run.
+ *
+ * Example:
+ *  - function: "weightedRoute"
+ *  - get:
+ *      url: "/products"
+ *      ifTrue: 'route == "browse"'
+ *  - post:
+ *      url: "/checkout"
+ *      ifTrue: 'route == "checkout"'
+ */
+
+/**
+ * Smooth round-robin state per scenario + weight map.
+ */
+const routeStates = {};
+
+/**
+ * Achieved picks: scenario → route → { count, target % }.
+ */
+const routeStats = {};
+let reportedPicks = 0;
+
+/**
+ * Parses and validates a weight map.
+ *
+ * @param {Object|string} raw - Map or JSON text
+ * @returns {Array<{ name: string, weight: number }>}
+ */
+function parseRouteWeights(raw) {
+  const weights = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  if (!weights || typeof weights !== 'object') {
+    throw new Error('weightedRoute requires a routeWeights map, e.g. { browse: 70, search: 30 }');
+  }
+
+  const routes = Object.entries(weights).map(([name, weight]) => ({ name, weight: Number(weight) }));
+  routes.forEach(r => {
+    if (!Number.isFinite(r.weight) || r.weight < 0) {
+      throw new Error(`Invalid weight for route "${r.name}": ${weights[r.name]}`);
+    }
+  });
+
+  if (!routes.some(r => r.weight > 0)) {
+    throw new Error('weightedRoute needs at least one route with a positive weight');
+  }
+  return routes;
+}
+
+/**
+ * Smooth weighted round-robin (nginx): each pick adds every
+ * weight to its running score, takes the highest and subtracts
+ * the total from the winner.
+ */
+function nextDeterministic(state, routes, total) {
+  let best = null;
+  routes.filter(r => r.weight > 0).forEach(r => {
+    state[r.name] = (state[r.name] || 0) + r.weight;
+    if (best === null || state[r.name] > state[best]) best = r.name;
+  });
+  state[best] -= total;
+  return best;
+}
+
+/**
+ * Weighted random pick.
+ */
+function nextRandom(routes, total) {
+  let roll = Math.random() * total;
+  for (const r of routes) {
+    if (r.weight > 0 && roll < r.weight) return r.name;
+    roll -= r.weight;
+  }
+  return routes.filter(r => r.weight > 0).pop().name;
+}
+
+/**
+ * Picks the route of this iteration and stores it in `routeVar`.
+ *
+ * @param {Object} context - Artillery VU context (routeWeights, routeMode, routeVar)
+ * @param {EventEmitter} events - Artillery event emitter (route.<name> counters)
+ * @param {Function} done - Callback, receives an error for invalid settings
+ */
+function weightedRoute(context, events, done) {
+  const vars = context.vars;
+  let routes;
+
+  try {
+    routes = parseRouteWeights(vars.routeWeights);
+  } catch (err) {
+    return done(err);
+  }
+
+  const total = routes.reduce((sum, r) => sum + r.weight, 0);
+  const mode = String(vars.routeMode || 'deterministic').toLowerCase();
+
+  let route;
+  if (mode === 'random') {
+    route = nextRandom(routes, total);
+  } else if (mode === 'deterministic') {
+    const key = `${scenarioName(context)}|${JSON.stringify(routes)}`;
+    route = nextDeterministic(routeStates[key] || (routeStates[key] = {}), routes, total);
+  } else {
+    return done(new Error(`Unknown routeMode "${vars.routeMode}" (expected deterministic | random)`));
+  }
+
+  vars[vars.routeVar || 'route'] = route;
+  events.emit('counter', `route.${route}`, 1);
+
+  const scenario = routeStats[scenarioName(context)] || (routeStats[scenarioName(context)] = {});
+  routes.forEach(r => {
+    scenario[r.name] = scenario[r.name] || { count: 0, target: 0 };
+    scenario[r.name].target = (r.weight / total) * 100;
+  });
+  scenario[route].count++;
+
   done();
 }
 
+/**
+ * Prints the achieved route mix of this worker (once per
+ * new batch of picks; flush handlers may run more than once).
+ * Runs as a lifecycle flush handler, so the lifecycle plugin's
+ * cleanup() reports it before the worker exits.
+ */
+function reportRouteMix() {
+  const countPicks = routes => Object.values(routes).reduce((sum, s) => sum + s.count, 0);
+  const picks = Object.values(routeStats).reduce((sum, routes) => sum + countPicks(routes), 0);
+  if (picks === 0 || picks === reportedPicks) return;
+  reportedPicks = picks;
+
+  Object.entries(routeStats).forEach(([scenario, routes]) => {
+    const scenarioPicks = countPicks(routes);
+    console.log(`🔀 Route mix for ${scenario} (${scenarioPicks} picks):`);
+    Object.entries(routes).forEach(([name, s]) => {
+      const achieved = ((s.count / scenarioPicks) * 100).toFixed(1);
+      console.log(`   ${name}: ${s.count} (${achieved}%, target ${s.target.toFixed(1)}%)`);
+    });
+  });
+}
+
+lifecycle.onShutdown('utils.routes', reportRouteMix);
+
 /**
  * ============================================================
  * GENERIC CORRELATION PROCESSOR
@@ -26,9 +228,48 @@ function getIterationNumber(context, events, done) {
  *  - Supports nested JSON arrays via arrayPath
  *  - Supports multiple correlations per request
  *  - Chained correlations using previous index
- *  - Modes: FIRST, LAST, RANDOM, INDEX
+ *  - Modes: FIRST, LAST, RANDOM, INDEX, UNIQUE, ROUND_ROBIN, REGEX
  *  - Automatically scopes index variables per correlation
  *
+ * Expressions (see json.path.js, shared with k6 extract):
+ *  - correlationArrayPath: JSONPath subset, e.g.
+ *      "$.data.products[?(@.stock > 0 && @.category == 'Electronics')]"
+ *    Legacy paths ("data[0].comments") still work.
+ *  - field: path inside the selected item, e.g. "item.price.amount"
+ *  - where: predicate filtering the items for one config only, e.g.
+ *      "stock > 0 && price.amount < 100"
+ *
+ * REGEX mode (non-JSON bodies):
+ *  - regex: pattern, applied to the raw text of correlationArrayVar
+ *  - group: capture group index or name (default 1)
+ *  - flags: regex flags (optional)
+ *  - pick:  FIRST | LAST | RANDOM | INDEX | UNIQUE | ROUND_ROBIN
+ *           among the matches (default FIRST)
+ *
+ * Worker-wide modes (shared by every active VU of the worker):
+ *  - UNIQUE: leases the item to this VU; no other VU gets it
+ *    until it is released. A VU holds one lease per pool, so a
+ *    new UNIQUE pick returns its previous item first.
+ *      leasePool:   pool name (default target; share it across
+ *                   configs that must not overlap)
+ *      leaseKey:    path identifying the item (default field value)
+ *      leaseTtlSec: expire leases a VU never released
+ *                   (default 300, 0 = until released)
+ *    No free item counts as a miss (see onMissing).
+ *    Release with the "releaseCorrelation" hook, e.g.
+ *      afterScenario: "releaseCorrelation"
+ *  - ROUND_ROBIN: one cursor per target for the whole worker,
+ *    so consecutive VUs get consecutive items.
+ *
+ * Missing values (no array, no match, or the field is absent):
+ *  - onMissing: per config
+ *      (unset)        leave target undefined and warn (legacy)
+ *      skip-scenario  set skipMe; guard requests with ifTrue: "not skipMe"
+ *      fail           fail the VU with an error
+ *      default:<v>    use <v> (JSON when it parses: default:0, default:"x")
+ *  - Counters: correlation.miss.<target> on every miss, plus
+ *    correlation.skipped|failed|defaulted.<target> for the outcome
+ *
  * Usage in YAML:
  *  - capture the array per request
  *  - set correlation variables (arrayVar, arrayPath, config) before calling function
@@ -47,71 +288,206 @@ function getIterationNumber(context, events, done) {
  *          field: "title"
  *          mode: "INDEX"
  *          indexFrom: "firstIndex"
+ *        - target: "cheapInStockId"
+ *          field: "id"
+ *          where: "stock > 0 && price.amount < 50"
+ *        - target: "csrfToken"
+ *          mode: "REGEX"
+ *          regex: 'name="csrf" value="([^"]+)"'
+ *          onMissing: "skip-scenario"
+ *        - target: "productToUpdate"
+ *          field: "id"
+ *          mode: "UNIQUE"
+ *          onMissing: "skip-scenario"
  *  - function: "correlate"
  */
 
+/**
+ * UNIQUE leases and ROUND_ROBIN cursors of this worker.
+ */
+const leases = createLeaseStore();
+const roundRobinCursors = {};
+
 function correlate(userContext, events, done) {
   const arrayVar = userContext.vars.correlationArrayVar;
   const rawArray = userContext.vars[arrayVar];
-  if (!rawArray) {
-    console.warn(`[CORRELATE] arrayVar '${arrayVar}' not found`);
-    return done();
-  }
+  // Reported per target by handleMissing (warn mode), not here too
+  const reason = rawArray ? 'no match' : `arrayVar '${arrayVar}' not found`;
 
-  const arr = resolvePath(rawArray, userContext.vars.correlationArrayPath || '') || [];
   const configList = userContext.vars.correlationConfig || [];
+  let arr;
 
-  configList.forEach(cfg => {
-    if (!Array.isArray(arr) || arr.length === 0) {
-      userContext.vars[cfg.target] = undefined;
-      return;
-    }
-
-    let selectedIndex;
+  try {
+    configList.forEach(cfg => {
+      const mode = (cfg.mode || 'RANDOM').toUpperCase();
+      const isRegex = mode === 'REGEX';
+      const policy = parseOnMissing(cfg);
 
-    // Use previous correlation index if mode=INDEX and indexFrom is defined
-    if ((cfg.mode || '').toUpperCase() === 'INDEX' && cfg.indexFrom) {
-      selectedIndex = userContext.vars[cfg.indexFrom];
-      if (typeof selectedIndex !== 'number' || selectedIndex < 0 || selectedIndex >= arr.length) {
-        selectedIndex = 0;
+      let candidates = [];
+      if (!rawArray) {
+        // nothing to correlate against
+      } else if (isRegex) {
+        candidates = jsonPath.regexMatches(rawArray, cfg.regex, { group: cfg.group, flags: cfg.flags });
+      } else {
+        arr = arr || jsonPath.queryList(rawArray, userContext.vars.correlationArrayPath || '');
+        candidates = cfg.where ? arr.filter(jsonPath.compilePredicate(cfg.where)) : arr;
       }
-    } else {
-      switch ((cfg.mode || 'RANDOM').toUpperCase()) {
-        case 'FIRST': selectedIndex = 0; break;
-        case 'LAST': selectedIndex = arr.length - 1; break;
-        case 'RANDOM': selectedIndex = Math.floor(Math.random() * arr.length); break;
-        case 'INDEX': selectedIndex = Number(cfg.index) || 0; break;
-        default: selectedIndex = 0;
+
+      let value;
+      if (candidates.length > 0) {
+        const pick = isRegex ? (cfg.pick || 'FIRST').toUpperCase() : mode;
+        const valueOf = item => (isRegex || !cfg.field ? item : jsonPath.first(item, cfg.field));
+        const selectedIndex = selectIndex(pick, cfg, candidates, userContext, valueOf);
+
+        // Scope index per correlation
+        const indexVarName = cfg.indexVar || `_correlation_${cfg.target}_index`;
+        userContext.vars[indexVarName] = selectedIndex;
+
+        const item = candidates[selectedIndex];
+        value = item === undefined ? undefined : valueOf(item);
       }
+
+      // Assign field to target variable
+      userContext.vars[cfg.target] = value === undefined
+        ? handleMissing(cfg, policy, userContext, events, reason)
+        : value;
+    });
+  } catch (err) {
+    // Malformed path, predicate or regex, or onMissing: fail
+    console.error(`[CORRELATE] ${err.message}`);
+    return done(err);
+  }
+
+  done();
+}
+
+/**
+ * Parses a config's onMissing setting.
+ *
+ * @param {Object} cfg - Correlation config
+ * @returns {{ action: string, value?: * }} action: warn | skip | fail | default
+ */
+function parseOnMissing(cfg) {
+  const raw = cfg.onMissing === undefined || cfg.onMissing === null ? '' : String(cfg.onMissing);
+
+  if (raw === '') return { action: 'warn' };
+  if (raw === 'skip-scenario') return { action: 'skip' };
+  if (raw === 'fail') return { action: 'fail' };
+
+  if (raw.startsWith('default:')) {
+    const text = raw.slice('default:'.length);
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch (err) {
+      value = text;
     }
+    return { action: 'default', value };
+  }
 
-    // Scope index per correlation
-    const indexVarName = cfg.indexVar || `_correlation_${cfg.target}_index`;
-    userContext.vars[indexVarName] = selectedIndex;
+  throw new Error(`Unknown onMissing "${raw}" for target '${cfg.target}' (expected skip-scenario | fail | default:<value>)`);
+}
 
-    // Assign field to target variable
-    const item = arr[selectedIndex] || {};
-    userContext.vars[cfg.target] = cfg.field ? item[cfg.field] : item;
-  });
+/**
+ * Applies the onMissing policy and emits its counters.
+ * Throws for `fail`, which correlate turns into done(err).
+ *
+ * @param {string} reason - Why there is no value, for the warning
+ * @returns {*} Value for the target variable
+ */
+function handleMissing(cfg, policy, userContext, events, reason) {
+  events.emit('counter', `correlation.miss.${cfg.target}`, 1);
 
-  done();
+  switch (policy.action) {
+    case 'skip':
+      events.emit('counter', `correlation.skipped.${cfg.target}`, 1);
+      userContext.vars.skipMe = true;
+      return undefined;
+    case 'fail':
+      events.emit('counter', `correlation.failed.${cfg.target}`, 1);
+      throw new Error(`Correlation missing for target '${cfg.target}'`);
+    case 'default':
+      events.emit('counter', `correlation.defaulted.${cfg.target}`, 1);
+      return policy.value;
+    default:
+      console.warn(`[CORRELATE] no value for target '${cfg.target}' (${reason})`);
+      return undefined;
+  }
+}
+
+/**
+ * Picks an index among the candidates for a selection mode.
+ *
+ * @param {string} mode - FIRST | LAST | RANDOM | INDEX | UNIQUE | ROUND_ROBIN
+ * @param {Object} cfg - Correlation config (index, indexFrom, lease*)
+ * @param {Array} candidates - Non-empty candidate list
+ * @param {Object} userContext - Artillery context (vars, _uid)
+ * @param {Function} valueOf - Item → correlated value (default lease key)
+ * @returns {number} Index, or -1 when UNIQUE finds no free item
+ */
+function selectIndex(mode, cfg, candidates, userContext, valueOf) {
+  // Use previous correlation index if mode=INDEX and indexFrom is defined
+  if (mode === 'INDEX' && cfg.indexFrom) {
+    const index = userContext.vars[cfg.indexFrom];
+    return typeof index === 'number' && index >= 0 && index < candidates.length ? index : 0;
+  }
+
+  switch (mode) {
+    case 'FIRST': return 0;
+    case 'LAST': return candidates.length - 1;
+    case 'RANDOM': return Math.floor(Math.random() * candidates.length);
+    case 'INDEX': return Number(cfg.index) || 0;
+    case 'ROUND_ROBIN': {
+      const cursor = roundRobinCursors[cfg.target] || 0;
+      roundRobinCursors[cfg.target] = cursor + 1;
+      return cursor % candidates.length;
+    }
+    case 'UNIQUE': return leaseIndex(cfg, candidates, userContext, valueOf);
+    default: return 0;
+  }
+}
+
+/**
+ * Leases the first free candidate, scanning from a random offset
+ * so concurrent VUs spread over the list.
+ *
+ * @returns {number} Leased index, or -1 when every item is held
+ */
+function leaseIndex(cfg, candidates, userContext, valueOf) {
+  const pool = cfg.leasePool || cfg.target;
+  const holder = userContext._uid;
+  const ttlMs = leaseTtlMs(cfg.leaseTtlSec);
+
+  const keys = candidates.map(item => leaseKey(cfg.leaseKey ? jsonPath.first(item, cfg.leaseKey) : valueOf(item)));
+  const offset = Math.floor(Math.random() * candidates.length);
+
+  // One lease per pool and VU: hands back the previous item
+  return leases.acquireNext(pool, holder, keys, ttlMs, offset);
 }
 
 /**
- * Resolve nested paths in an object/array
- * Supports dot notation and brackets:
- *  - "data[0].comments" => arr of comments
+ * Releases UNIQUE leases held by this VU.
+ * Releases every pool unless `correlationRelease` lists pools
+ * (targets / leasePool names). Use as a step or as
+ *   afterScenario: "releaseCorrelation"
  */
-function resolvePath(obj, path) {
-  if (!path) return obj;
-  const segments = path
-    .replace(/\[(\d+)\]/g, '.$1') // convert [0] to .0
-    .split('.')
-    .filter(Boolean);
-  return segments.reduce((acc, key) => (acc && acc[key] !== undefined ? acc[key] : undefined), obj);
+function releaseCorrelation(userContext, events, done) {
+  const pools = userContext.vars.correlationRelease;
+
+  if (pools) {
+    [].concat(pools).forEach(pool => leases.release(userContext._uid, pool));
+  } else {
+    leases.release(userContext._uid);
+  }
+
+  done();
 }
 
 module.exports = {
   correlate,
-  getIterationNumber
+  releaseCorrelation,
+  getIterationNumber,
+  weightedRoute,
+  skipIfStopping,
+  flushArtifacts
 };
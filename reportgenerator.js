@@ -52,7 +52,8 @@ const ensureApi = (r) => {
     perSecondRT: {},
     status: {},
     pass: 0,
-    fail: 0
+    fail: 0,
+    schemaFail: 0
   };
 };
 
@@ -88,6 +89,23 @@ for (const r of rows) {
       pass++;
     }
   }
+
+  // pf.validateSchema(): 1 = body failed its schema (status was < 400)
+  if (r.metric_name === "schema_validation_failed" && Number(r.metric_value) === 1) {
+    api.schemaFail++;
+    errorsGlobal[api.key + "|" + r.name + "|schema"] = (errorsGlobal[api.key + "|" + r.name + "|schema"] || 0) + 1;
+  }
+}
+
+// Schema failures turn passed requests into fails
+for (const api of Object.values(apis)) {
+  const moved = Math.min(api.schemaFail, api.pass);
+  if (!moved) continue;
+  api.pass -= moved;
+  api.fail += moved;
+  pass -= moved;
+  fail += moved;
+  api.status.schema = (api.status.schema || 0) + moved;
 }
 
 /* ================= DERIVED ================= */
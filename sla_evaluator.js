@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Run-level SLA gate for Artillery and k6 results.
+ *
+ * Inputs:
+ *  - artillery-metrics.jsonl (raw `request` lines and/or
+ *    aggregate `interval` records, see metrics.processor.js)
+ *  - k6 CSV output (k6 run --out csv=metrics.csv)
+ *
+ * SLA file (one format for both tools):
+ *   {
+ *     "*":        { "p95": 1500, "maxErrorRate": 0.01 },
+ *     "GET_Test": { "p90": 800, "p99": 2000, "minThroughput": 5 }
+ *   }
+ *  - Keys are request names (Artillery `name:`, k6 group or
+ *    request name); "*" holds defaults for every name seen
+ *  - p90 / p95 / p99 in ms, maxErrorRate as a fraction,
+ *    minThroughput in requests per second
+ *  - Errors are status >= 400 plus schema validation failures
+ *    (Artillery validateResponse, k6 schema_validation_failed)
+ *
+ * Exit code: 0 all checks pass, 1 SLA breach, 2 usage / input error.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { createHistogram } = require("./processors/latency.histogram");
+const { parseRows } = require("./processors/csv.parser");
+
+/* ================= CLI ================= */
+const [, , metricsFile, ...args] = process.argv;
+const slaIdx = args.indexOf("--sla");
+const formatIdx = args.indexOf("--format");
+
+if (!metricsFile || slaIdx === -1 || !args[slaIdx + 1]) {
+  console.error("Usage: node sla_evaluator.js <artillery-metrics.jsonl | k6.csv> --sla sla.json [--format artillery|k6]");
+  process.exit(2);
+}
+
+const slaFile = args[slaIdx + 1];
+const format = formatIdx !== -1
+  ? args[formatIdx + 1]
+  : path.extname(metricsFile) === ".csv" ? "k6" : "artillery";
+
+/* ================= CHECKS ================= */
+const CHECKS = [
+  { key: "p90", label: "p90 (ms)", actual: s => s.histogram.percentile(90), pass: (a, t) => a <= t },
+  { key: "p95", label: "p95 (ms)", actual: s => s.histogram.percentile(95), pass: (a, t) => a <= t },
+  { key: "p99", label: "p99 (ms)", actual: s => s.histogram.percentile(99), pass: (a, t) => a <= t },
+  { key: "maxErrorRate", label: "error rate", actual: s => s.total ? s.errors / s.total : 0, pass: (a, t) => a <= t },
+  { key: "minThroughput", label: "throughput (rps)", actual: s => s.throughput(), pass: (a, t) => a >= t }
+];
+
+/* ================= DATA MODEL ================= */
+const stats = {};
+
+/**
+ * Per-name accumulator; timestamps are epoch milliseconds.
+ */
+const ensureStats = (name) => stats[name] ||= {
+  name,
+  histogram: createHistogram(),
+  total: 0,
+  errors: 0,
+  start: Infinity,
+  end: -Infinity,
+  throughput() {
+    const seconds = (this.end - this.start) / 1000;
+    return seconds > 0 ? this.total / seconds : this.total;
+  }
+};
+
+const widen = (s, from, to) => {
+  s.start = Math.min(s.start, from);
+  s.end = Math.max(s.end, to);
+};
+
+/* ================= INGEST: ARTILLERY ================= */
+function ingestArtillery(line) {
+  if (!line.trim()) return;
+  const m = JSON.parse(line);
+
+  if (m.type === "request") {
+    const s = ensureStats(m.name);
+    s.total++;
+    if (m.statusCode >= 400 || m.schemaFailed) s.errors++;
+    s.histogram.record(m.latencyMs);
+    widen(s, m.ts, m.ts);
+  }
+
+  if (m.type === "interval") {
+    const s = ensureStats(m.name);
+    s.total += m.count;
+    Object.entries(m.statusCodes || {}).forEach(([code, n]) => {
+      if (Number(code) >= 400) s.errors += n;
+    });
+    s.errors += m.schemaFailures || 0;
+    s.histogram.merge(m.histogram);
+    widen(s, m.intervalStart, m.intervalEnd);
+  }
+}
+
+/* ================= INGEST: K6 CSV ================= */
+const normalizeName = (name) => name ? name.replace(/\/$/, "") : "";
+const cleanGroup = (group) => group ? group.replace(/^::/, "") : "";
+
+let k6Columns = null;
+
+function ingestK6(line) {
+  if (!line.trim()) return;
+  const [fields] = parseRows(line);
+
+  if (!k6Columns) {
+    k6Columns = fields;
+    return;
+  }
+
+  const r = {};
+  k6Columns.forEach((c, i) => r[c] = fields[i]);
+
+  const name = cleanGroup(r.group) || normalizeName(r.name);
+  if (!name) return;
+
+  const ts = Number(r.timestamp) * 1000;
+  const value = Number(r.metric_value);
+
+  if (r.metric_name === "http_reqs") {
+    const s = ensureStats(name);
+    s.total++;
+    widen(s, ts, ts + 1000);
+  }
+  if (r.metric_name === "http_req_duration") ensureStats(name).histogram.record(value);
+  if (r.metric_name === "http_req_failed" && value === 1) ensureStats(name).errors++;
+  if (r.metric_name === "schema_validation_failed" && value === 1) ensureStats(name).errors++;
+}
+
+/* ================= EVALUATE ================= */
+function evaluate(sla) {
+  const defaults = sla["*"] || {};
+  const names = new Set(Object.keys(stats));
+  Object.keys(sla).forEach(n => n !== "*" && names.add(n));
+
+  const rows = [];
+  [...names].sort().forEach(name => {
+    const thresholds = { ...defaults, ...(sla[name] || {}) };
+    const s = stats[name];
+
+    CHECKS.filter(c => thresholds[c.key] !== undefined).forEach(c => {
+      if (!s || s.total === 0) {
+        rows.push({ name, label: c.label, threshold: thresholds[c.key], actual: "no data", ok: false });
+        return;
+      }
+      const actual = c.actual(s);
+      rows.push({ name, label: c.label, threshold: thresholds[c.key], actual, ok: actual !== null && c.pass(actual, thresholds[c.key]) });
+    });
+  });
+  return rows;
+}
+
+/* ================= OUTPUT ================= */
+const fmt = (v) => typeof v === "number" ? (Number.isInteger(v) ? String(v) : v.toFixed(3)) : String(v);
+
+function printTable(rows) {
+  const header = ["Name", "Check", "Threshold", "Actual", "Result"];
+  const lines = rows.map(r => [r.name, r.label, fmt(r.threshold), fmt(r.actual), r.ok ? "PASS" : "FAIL"]);
+  const widths = header.map((h, i) => Math.max(h.length, ...lines.map(l => l[i].length)));
+  const render = (cols) => cols.map((c, i) => c.padEnd(widths[i])).join(" | ");
+
+  console.log(render(header));
+  console.log(widths.map(w => "-".repeat(w)).join("-+-"));
+  lines.forEach(l => console.log(render(l)));
+}
+
+/* ================= MAIN ================= */
+async function main() {
+  const sla = JSON.parse(fs.readFileSync(slaFile, "utf8"));
+  const ingest = format === "k6" ? ingestK6 : ingestArtillery;
+
+  const rl = readline.createInterface({ input: fs.createReadStream(metricsFile), crlfDelay: Infinity });
+  for await (const line of rl) ingest(line);
+
+  const rows = evaluate(sla);
+  if (!rows.length) {
+    console.error("No SLA checks matched the metrics in " + metricsFile);
+    process.exit(2);
+  }
+
+  printTable(rows);
+
+  const failed = rows.filter(r => !r.ok).length;
+  console.log(failed ? `\n❌ SLA breached: ${failed} of ${rows.length} check(s) failed` : `\n✅ All ${rows.length} SLA check(s) passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error("❌ SLA evaluation failed:", err.message);
+  process.exit(2);
+});
@@ -0,0 +1,94 @@
+/**
+ * auth.processor: retries, permanent failures and the token
+ * cache, against a local token endpoint.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { execFile } = require('child_process');
+
+const { getAuthToken } = require('../processors/auth.processor');
+
+/**
+ * Token endpoint answering from a queue of [status, body];
+ * the last entry repeats.
+ */
+async function tokenServer(replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', d => body += d);
+    req.on('end', () => {
+      requests.push({ body, authorization: req.headers.authorization });
+      const [status, payload] = replies.length > 1 ? replies.shift() : replies[0];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(payload);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  test.after(() => server.close());
+
+  return { requests, url: `http://127.0.0.1:${server.address().port}/oauth2/token` };
+}
+
+const TOKEN = JSON.stringify({ access_token: 'token-1', expires_in: 3600 });
+
+function authenticate(vars) {
+  const context = { vars: { authRetryBaseMs: 1, clientSecret: 'secret', ...vars } };
+  return new Promise(resolve => {
+    getAuthToken({}, context, null, err => resolve({ err, token: context.vars.accessToken }));
+  });
+}
+
+test('throttling and server errors are retried', async () => {
+  const server = await tokenServer([[429, '{}'], [503, '{}'], [200, TOKEN]]);
+  const { err, token } = await authenticate({ clientId: 'retry-client', authTokenUrl: server.url });
+
+  assert.ifError(err);
+  assert.strictEqual(token, 'token-1');
+  assert.strictEqual(server.requests.length, 3);
+});
+
+test('a 200 without a usable token is not retried', async () => {
+  for (const body of ['<html>', '{"token_type":"Bearer"}']) {
+    const server = await tokenServer([[200, body]]);
+    const { err } = await authenticate({ clientId: `bad-200-${body.length}`, authTokenUrl: server.url });
+
+    assert.match(err.message, /after 1 attempt\(s\): token response (is not valid JSON|has no access_token)/);
+    assert.strictEqual(server.requests.length, 1);
+  }
+});
+
+test('tokens are cached per client authentication method', async () => {
+  const server = await tokenServer([[200, TOKEN]]);
+  const vars = { clientId: 'cached-client', authTokenUrl: server.url };
+
+  await authenticate(vars);
+  await authenticate(vars);
+  assert.strictEqual(server.requests.length, 1);
+
+  await authenticate({ ...vars, clientAuth: 'basic' });
+  assert.strictEqual(server.requests.length, 2);
+  assert.match(server.requests[1].authorization, /^Basic /);
+  assert.doesNotMatch(server.requests[1].body, /client_secret/);
+});
+
+test('errors thrown after next() are not turned into rejections', async () => {
+  const server = await tokenServer([[200, TOKEN]]);
+
+  // Own process: the test runner treats uncaught exceptions as failures
+  const source = `
+    process.on('uncaughtException', err => { console.log('uncaught: ' + err.message); process.exit(0); });
+    process.on('unhandledRejection', err => { console.log('rejection: ' + err.message); process.exit(0); });
+    const { getAuthToken } = require(${JSON.stringify(require.resolve('../processors/auth.processor'))});
+    const context = { vars: { clientId: 'c', clientSecret: 's', authTokenUrl: ${JSON.stringify(server.url)} } };
+    getAuthToken({}, context, null, () => { throw new Error('later in the pipeline'); });
+  `;
+  const output = await new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', source], { timeout: 10000 }, (err, stdout) => (err ? reject(err) : resolve(stdout)));
+  });
+
+  assert.strictEqual(output.trim(), 'uncaught: later in the pipeline');
+});
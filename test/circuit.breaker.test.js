@@ -0,0 +1,115 @@
+/**
+ * circuit.breaker: sliding windows, per-name thresholds,
+ * consecutive 5xx and cooldown re-arm, on a fake clock.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const BREAKER = require.resolve('../processors/circuit.breaker');
+const realNow = Date.now;
+
+let clock;
+
+test.beforeEach(() => {
+  clock = 1700000000000;
+  Date.now = () => clock;
+});
+
+test.afterEach(() => {
+  Date.now = realNow;
+});
+
+/**
+ * Fresh breaker state per test, plus a counter-recording emitter.
+ */
+function setup(vars) {
+  delete require.cache[BREAKER];
+  const breaker = require(BREAKER);
+  const counters = {};
+  const ee = { emit: (type, name, value) => (counters[name] = (counters[name] || 0) + value) };
+  const warn = console.warn;
+
+  const respond = (name, statusCode) => {
+    console.warn = () => {};
+    try {
+      breaker.observe({ name }, { statusCode }, { vars }, ee);
+    } finally {
+      console.warn = warn;
+    }
+  };
+
+  return { breaker, counters, respond };
+}
+
+test('errors outside the window are forgotten', () => {
+  const { counters, respond } = setup({ breakerWindowSec: 2, breakerMinSamples: 4, breakerErrorRate: 0.5 });
+
+  respond('GET_Test', 500);
+  respond('GET_Test', 500);
+  respond('GET_Test', 500);
+
+  // Only this response is inside the window now
+  clock += 3000;
+  respond('GET_Test', 200);
+  assert.strictEqual(counters['breaker.tripped'], undefined);
+
+  respond('GET_Test', 500);
+  respond('GET_Test', 500);
+  respond('GET_Test', 200);
+  assert.strictEqual(counters['breaker.tripped'], 1);
+});
+
+test('listed request names trip on their own threshold', () => {
+  const { counters, respond } = setup({
+    breakerMinSamples: 1000,
+    breakerThresholds: { POST_Test: { errorRate: 0.2, minSamples: 5 } }
+  });
+
+  for (let i = 0; i < 10; i++) respond('GET_Test', i % 2 ? 500 : 200);
+  assert.strictEqual(counters['breaker.tripped'], undefined);
+
+  [500, 200, 200, 200, 200].forEach(status => respond('POST_Test', status));
+  assert.strictEqual(counters['breaker.tripped.POST_Test'], 1);
+  assert.strictEqual(counters['breaker.tripped'], 1);
+});
+
+test('consecutive 5xx trip only when uninterrupted', () => {
+  const { counters, respond } = setup({ breakerMinSamples: 1000, breakerConsecutive5xx: 3 });
+
+  [500, 502, 200, 503, 500].forEach(status => respond('GET_Test', status));
+  assert.strictEqual(counters['breaker.tripped'], undefined);
+
+  respond('GET_Test', 504);
+  assert.strictEqual(counters['breaker.tripped'], 1);
+});
+
+test('pause lasts the cooldown, then the breaker re-arms', () => {
+  const { breaker, counters, respond } = setup({
+    breakerMinSamples: 1000,
+    breakerConsecutive5xx: 2,
+    breakerAction: 'pause',
+    breakerCooldownSec: 10
+  });
+
+  respond('GET_Test', 500);
+  respond('GET_Test', 500);
+  assert.strictEqual(counters['breaker.tripped'], 1);
+  assert.ok(breaker.isPaused());
+
+  // Still cooling down: no second trip
+  clock += 5000;
+  respond('GET_Test', 500);
+  assert.strictEqual(counters['breaker.tripped'], 1);
+
+  clock += 5000;
+  assert.ok(!breaker.isPaused());
+  respond('GET_Test', 500);
+  assert.strictEqual(counters['breaker.tripped'], 2);
+  assert.ok(breaker.isPaused());
+});
+
+test('unknown actions are rejected', () => {
+  const { respond } = setup({ breakerAction: 'panic' });
+  assert.throws(() => respond('GET_Test', 200), /Unknown breakerAction/);
+});
@@ -0,0 +1,63 @@
+/**
+ * correlation.leases: one lease per pool and holder, shared by
+ * the Artillery UNIQUE mode and k6 extract 'unique'.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createLeaseStore, leaseTtlMs } = require('../processors/correlation.leases');
+
+const KEYS = ['A', 'B', 'C'];
+
+test('repeated iterations hand back the previous item', () => {
+  const store = createLeaseStore();
+
+  for (let iteration = 0; iteration < 10; iteration++) {
+    const index = store.acquireNext('products', 'vu-1', KEYS, 0, iteration % KEYS.length);
+    assert.notStrictEqual(index, -1, `iteration ${iteration} found no item`);
+    assert.strictEqual(store.size('products'), 1);
+  }
+});
+
+test('items held by another holder are skipped', () => {
+  const store = createLeaseStore();
+
+  assert.strictEqual(store.acquireNext('products', 'vu-1', KEYS), 0);
+  assert.strictEqual(store.acquireNext('products', 'vu-2', KEYS), 1);
+  assert.strictEqual(store.acquireNext('products', 'vu-3', KEYS), 2);
+  assert.strictEqual(store.acquireNext('products', 'vu-4', KEYS), -1);
+
+  // vu-2 moves on: B is free for vu-4
+  assert.strictEqual(store.acquireNext('products', 'vu-2', KEYS, 0, 1), 1);
+  store.release('vu-2');
+  assert.strictEqual(store.acquireNext('products', 'vu-4', KEYS), 1);
+});
+
+test('leases are per pool', () => {
+  const store = createLeaseStore();
+
+  store.acquireNext('products', 'vu-1', KEYS);
+  assert.strictEqual(store.acquireNext('orders', 'vu-1', KEYS), 0);
+  assert.strictEqual(store.acquireNext('products', 'vu-1', KEYS, 0, 1), 1);
+  assert.ok(store.isLeased('orders', 'A'));
+  assert.ok(!store.isLeased('products', 'A'));
+});
+
+test('leases expire after the TTL', () => {
+  let clock = 0;
+  const store = createLeaseStore({ now: () => clock });
+
+  store.acquireNext('products', 'vu-1', ['A'], 1000);
+  assert.strictEqual(store.acquireNext('products', 'vu-2', ['A'], 1000), -1);
+
+  clock = 1000;
+  assert.strictEqual(store.acquireNext('products', 'vu-2', ['A'], 1000), 0);
+});
+
+test('leaseTtlMs defaults, disables and rejects', () => {
+  assert.strictEqual(leaseTtlMs(undefined), 300000);
+  assert.strictEqual(leaseTtlMs('0'), 0);
+  assert.strictEqual(leaseTtlMs(30), 30000);
+  assert.throws(() => leaseTtlMs('soon'), /Invalid leaseTtlSec/);
+});
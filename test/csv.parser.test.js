@@ -0,0 +1,88 @@
+/**
+ * csv.parser: RFC 4180 quoting, line endings, headers, coercion
+ * and row filters (also through the pool hook).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseRows, parseCsv, coerceValue, compileFilter } = require('../processors/csv.parser');
+const { pullFromPool } = require('../processors/pool.processor');
+
+test('quoted fields keep commas and line breaks', () => {
+  const rows = parseRows('id,name\n1,"Laptop, 15"""\n2,"Two\nlines"\n');
+  assert.deepStrictEqual(rows, [
+    ['id', 'name'],
+    ['1', 'Laptop, 15"'],
+    ['2', 'Two\nlines']
+  ]);
+});
+
+test('escaped quotes and verbatim quoted whitespace', () => {
+  assert.deepStrictEqual(parseRows('"say ""hi""", " padded ", bare '), [['say "hi"', ' padded ', 'bare']]);
+  assert.throws(() => parseRows('"open'), /unterminated quoted field/);
+});
+
+test('CRLF, lone CR, BOM and blank lines', () => {
+  const rows = parseRows('\uFEFFa,b\r\n1,2\r\n\r\n3,"x\r\ny"\r4,5');
+  assert.deepStrictEqual(rows, [['a', 'b'], ['1', '2'], ['3', 'x\r\ny'], ['4', '5']]);
+});
+
+test('header-only file has columns and no records', () => {
+  assert.deepStrictEqual(parseCsv('id,name\r\n', { header: true }), { columns: ['id', 'name'], records: [] });
+  assert.deepStrictEqual(parseCsv('', { header: true }), { columns: [], records: [] });
+});
+
+test('repeated header rows are dropped', () => {
+  const { records } = parseCsv('id\n1\nid\n2\n', { header: true });
+  assert.deepStrictEqual(records, [{ id: '1' }, { id: '2' }]);
+});
+
+test('coercion keeps empty strings and leading zeros', () => {
+  assert.strictEqual(coerceValue(''), '');
+  assert.strictEqual(coerceValue('0012'), '0012');
+  assert.strictEqual(coerceValue('-007'), '-007');
+  assert.strictEqual(coerceValue('true'), true);
+  assert.strictEqual(coerceValue('FALSE'), false);
+  assert.strictEqual(coerceValue('null'), null);
+  assert.strictEqual(coerceValue('0'), 0);
+  assert.strictEqual(coerceValue('0.5'), 0.5);
+  assert.strictEqual(coerceValue('1e3'), 1000);
+  assert.strictEqual(coerceValue('12abc'), '12abc');
+
+  const { records } = parseCsv('sku,qty,active,note\n0012,3,true,\n', { header: true, coerce: true });
+  assert.deepStrictEqual(records, [{ sku: '0012', qty: 3, active: true, note: '' }]);
+});
+
+test('row filters read columns by name and by index', () => {
+  const { records } = parseCsv('name,stock,unit price\nA,0,5\nB,2,150\nC,4,20\n', { header: true, coerce: true });
+  assert.deepStrictEqual(records.filter(compileFilter("stock > 0 && @['unit price'] <= 100")).map(r => r.name), ['C']);
+
+  const { records: plain } = parseCsv('PROD-1,x\nOTHER,y\n');
+  assert.deepStrictEqual(plain.filter(compileFilter('@[0] =~ /^PROD-/')), [['PROD-1', 'x']]);
+});
+
+test('an invalid rowFilter throws, and the pool hook reports it', async () => {
+  assert.throws(() => compileFilter('stock >'), /Unexpected end of predicate/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-parser-'));
+  const csvPath = path.join(dir, 'products.csv');
+  fs.writeFileSync(csvPath, 'id,stock\n1,0\n2,5\n');
+
+  const run = vars => new Promise(resolve => {
+    const userContext = { vars: { sourceFile: csvPath, hasHeader: true, coerceTypes: true, mode: 'sequential', ...vars } };
+    pullFromPool(userContext, { emit() {} }, err => resolve({ err, vars: userContext.vars }));
+  });
+
+  const bad = await run({ rowFilter: "stock > 0 &&" });
+  assert.match(bad.err.message, /^Invalid rowFilter: /);
+
+  const good = await run({ rowFilter: 'stock > 0' });
+  assert.ifError(good.err);
+  assert.strictEqual(good.vars.id, 2);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,89 @@
+/**
+ * id.generator: ids never collide across workers, counters
+ * and styles.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createIdGenerator } = require('../processors/id.generator');
+
+const IDS_PER_WORKER = 2000;
+
+/**
+ * Worker ids as they occur: thread / VU numbers, and
+ * "host:thread" on Fargate (every task starts at thread 1).
+ */
+const WORKER_IDS = [
+  0, 1, 2, 3, 31, 32, 1023, 2 ** 20, 2 ** 32 - 1,
+  ...Array.from({ length: 50 }, (_, i) => `ip-10-0-${i}-17.ec2.internal:1`),
+  ...Array.from({ length: 50 }, (_, i) => `ip-10-0-1-${i}.ec2.internal:2`)
+];
+
+for (const style of ['ulid', 'compact']) {
+  test(`${style}: no collisions across workers and counters`, () => {
+    const now = () => 1700000000000; // same millisecond for every id
+    const seen = new Set();
+
+    WORKER_IDS.forEach(workerId => {
+      const ids = createIdGenerator({ runId: 'run-1', workerId, style, now });
+      for (let i = 0; i < IDS_PER_WORKER; i++) {
+        const id = ids.next();
+        assert.ok(!seen.has(id), `duplicate ${id} (worker ${workerId})`);
+        seen.add(id);
+      }
+    });
+
+    assert.strictEqual(seen.size, WORKER_IDS.length * IDS_PER_WORKER);
+  });
+}
+
+test('no collisions across runs and workers, per style', () => {
+  const now = () => 1700000000000;
+  const runIds = ['run-1', 'run-2', 'run-3', 'local'];
+  const workerIds = [1, 2, 3, 'ip-10-0-1-17.ec2.internal:1', 'ip-10-0-2-17.ec2.internal:1'];
+
+  ['ulid', 'compact'].forEach(style => {
+    const ids = new Set();
+    let count = 0;
+
+    runIds.forEach(runId => {
+      workerIds.forEach(workerId => {
+        const generator = createIdGenerator({ runId, workerId, style, now });
+        for (let i = 0; i < IDS_PER_WORKER; i++) {
+          ids.add(generator.next());
+          count++;
+        }
+      });
+    });
+
+    assert.strictEqual(ids.size, count, `${style}: ${count - ids.size} duplicate(s)`);
+  });
+});
+
+test('hashed workers do not overlap numbered workers', () => {
+  const node = workerId => createIdGenerator({ runId: 'run-1', workerId, style: 'compact' }).next().slice(4, 11);
+  const numbered = new Set(WORKER_IDS.filter(w => typeof w === 'number').map(node));
+
+  WORKER_IDS.filter(w => typeof w === 'string').forEach(workerId => {
+    assert.ok(!numbered.has(node(workerId)), `worker ${workerId} overlaps a numbered worker`);
+  });
+});
+
+test('runs are kept apart', () => {
+  const a = createIdGenerator({ runId: 'run-1', workerId: 1, style: 'compact' }).next();
+  const b = createIdGenerator({ runId: 'run-2', workerId: 1, style: 'compact' }).next();
+  assert.notStrictEqual(a, b);
+});
+
+test('prefix and length pad the counter', () => {
+  const ids = createIdGenerator({ runId: 'run-1', workerId: 1, style: 'compact', prefix: 'PROD-', length: 12 });
+  const first = ids.next();
+
+  assert.match(first, /^PROD-[0-9A-Z]{12}$/);
+  assert.notStrictEqual(ids.next(), first);
+});
+
+test('unknown styles are rejected', () => {
+  assert.throws(() => createIdGenerator({ style: 'uuid' }), /Unknown id style/);
+});
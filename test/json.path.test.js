@@ -0,0 +1,78 @@
+/**
+ * json.path: paths, filter predicates and regex extraction
+ * shared by correlate and k6 extract.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const jsonPath = require('../processors/json.path');
+
+const DATA = {
+  data: {
+    products: [
+      { id: 1, name: 'Laptop', category: 'Electronics', stock: 3, price: { amount: 999 } },
+      { id: 2, name: 'Novel', category: 'Books', stock: 0, price: { amount: 12 } },
+      { id: 3, name: 'Phone (refurb)', category: 'Electronics', stock: 7, price: { amount: 450 } }
+    ]
+  },
+  'odd key': 'x'
+};
+
+test('paths: child, index, slice, wildcard, descent, quoted name', () => {
+  assert.deepStrictEqual(jsonPath.query(DATA, '$.data.products[0].id'), [1]);
+  assert.deepStrictEqual(jsonPath.query(DATA, 'data.products[-1].id'), [3]);
+  assert.deepStrictEqual(jsonPath.query(DATA, '$.data.products[1:3].id'), [2, 3]);
+  assert.deepStrictEqual(jsonPath.query(DATA, '$.data.products[*].id'), [1, 2, 3]);
+  assert.deepStrictEqual(jsonPath.query(DATA, '$..amount'), [999, 12, 450]);
+  assert.deepStrictEqual(jsonPath.query(DATA, "$['odd key']"), ['x']);
+  assert.strictEqual(jsonPath.first(DATA, '$.data.missing'), undefined);
+});
+
+test('filters and where predicates', () => {
+  const inStock = jsonPath.query(DATA, "$.data.products[?(@.stock > 0 && @.category == 'Electronics')].id");
+  assert.deepStrictEqual(inStock, [1, 3]);
+
+  const cheap = jsonPath.compilePredicate('price.amount < 500 && !(stock == 0)');
+  assert.deepStrictEqual(DATA.data.products.filter(cheap).map(p => p.id), [3]);
+});
+
+test('queryList: an array match is the list, bad JSON text is empty', () => {
+  assert.strictEqual(jsonPath.queryList(DATA, '$.data.products').length, 3);
+  assert.deepStrictEqual(jsonPath.queryList(JSON.stringify(DATA), '$..id'), [1, 2, 3]);
+  assert.deepStrictEqual(jsonPath.queryList('<html>', '$..id'), []);
+});
+
+test('regex literals may hold unbalanced parentheses and brackets', () => {
+  const ids = jsonPath.query(DATA, '$.data.products[?(@.name =~ /b\\)$|^]/)].id');
+  assert.deepStrictEqual(ids, [3]);
+
+  const brackets = jsonPath.query({ items: [{ tag: 'a]b' }, { tag: 'ab' }] }, '$.items[?(@.tag =~ /a[\\]]b/)].tag');
+  assert.deepStrictEqual(brackets, ['a]b']);
+});
+
+test('g and y flags do not carry lastIndex between items', () => {
+  const predicate = jsonPath.compilePredicate("category =~ /electronics/gi");
+  const items = [{ category: 'Electronics' }, { category: 'Electronics' }, { category: 'Electronics' }];
+  assert.deepStrictEqual(items.map(predicate), [true, true, true]);
+
+  const sticky = jsonPath.compilePredicate('name =~ /Lap/y');
+  assert.deepStrictEqual([DATA.data.products[0], DATA.data.products[0]].map(sticky), [true, true]);
+});
+
+test('malformed paths and predicates throw', () => {
+  assert.throws(() => jsonPath.parsePath('$.items[?(@.stock > 0]'), /Unbalanced parentheses/);
+  assert.throws(() => jsonPath.parsePath('$.items[0'), /Missing "\]"/);
+  assert.throws(() => jsonPath.parsePath('$.items[foo]'), /Unsupported selector/);
+  assert.throws(() => jsonPath.compilePredicate('stock >'), /Unexpected end of predicate/);
+  assert.throws(() => jsonPath.compilePredicate("name =~ /open"), /Unterminated regex/);
+  assert.throws(() => jsonPath.compilePredicate("name == 'open"), /Unterminated string/);
+});
+
+test('regexMatches: groups, named groups, whole match', () => {
+  const html = '<input name="csrf" value="abc"><input name="csrf" value="def">';
+  assert.deepStrictEqual(jsonPath.regexMatches(html, /value="([^"]+)"/), ['abc', 'def']);
+  assert.deepStrictEqual(jsonPath.regexMatches(html, 'value="(?<v>[^"]+)"', { group: 'v' }), ['abc', 'def']);
+  assert.deepStrictEqual(jsonPath.regexMatches('a1b22', '\\d+', { group: 0 }), ['1', '22']);
+  assert.deepStrictEqual(jsonPath.regexMatches({ token: 't-9' }, /"token":"([^"]+)"/), ['t-9']);
+});
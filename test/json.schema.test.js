@@ -0,0 +1,84 @@
+/**
+ * json.schema: $ref into OpenAPI components, required and
+ * additionalProperties, OpenAPI 3.0 nullable.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validate, resolveRef, formatErrors } = require('../processors/json.schema');
+
+const OPENAPI = {
+  openapi: '3.0.3',
+  components: {
+    schemas: {
+      Price: {
+        type: 'object',
+        required: ['amount', 'currency'],
+        properties: { amount: { type: 'number', minimum: 0 }, currency: { type: 'string', enum: ['EUR', 'USD'] } },
+        additionalProperties: false
+      },
+      Product: {
+        type: 'object',
+        required: ['id', 'name', 'price'],
+        properties: {
+          id: { type: 'string', pattern: '^P-' },
+          name: { type: 'string', minLength: 1 },
+          price: { $ref: '#/components/schemas/Price' },
+          discontinuedAt: { type: 'string', nullable: true }
+        }
+      },
+      ProductList: {
+        type: 'object',
+        required: ['items'],
+        properties: { items: { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/Product' } } }
+      }
+    }
+  }
+};
+
+const schemaOf = name => resolveRef(OPENAPI, `#/components/schemas/${name}`);
+const product = (overrides = {}) => ({
+  id: 'P-1', name: 'Laptop', price: { amount: 999, currency: 'EUR' }, discontinuedAt: null, ...overrides
+});
+
+test('$refs resolve through nested components', () => {
+  assert.deepStrictEqual(validate(schemaOf('ProductList'), { items: [product()] }, OPENAPI), []);
+
+  const errors = validate(schemaOf('ProductList'), { items: [product(), product({ price: { amount: -1, currency: 'GBP' } })] }, OPENAPI);
+  assert.deepStrictEqual(errors, [
+    { path: '$.items[1].price.amount', message: 'should be >= 0' },
+    { path: '$.items[1].price.currency', message: 'should be one of ["EUR","USD"]' }
+  ]);
+});
+
+test('required properties and additionalProperties: false', () => {
+  const errors = validate(schemaOf('Price'), { amount: 5, region: 'eu' }, OPENAPI);
+  assert.deepStrictEqual(errors, [
+    { path: '$.currency', message: 'is required' },
+    { path: '$.region', message: 'is not allowed' }
+  ]);
+  assert.strictEqual(formatErrors(errors), '$.currency is required; $.region is not allowed');
+
+  // Extra keys are fine where additionalProperties is not set
+  assert.deepStrictEqual(validate(schemaOf('Product'), product({ tags: ['new'] }), OPENAPI), []);
+});
+
+test('additionalProperties as a schema validates the extra keys', () => {
+  const schema = { type: 'object', properties: { id: { type: 'integer' } }, additionalProperties: { type: 'string' } };
+  assert.deepStrictEqual(validate(schema, { id: 1, note: 'ok' }), []);
+  assert.deepStrictEqual(validate(schema, { id: 1.5, note: 2 }), [
+    { path: '$.id', message: 'should be integer, got number' },
+    { path: '$.note', message: 'should be string, got integer' }
+  ]);
+});
+
+test('an API Gateway error envelope fails the success schema', () => {
+  const errors = validate(schemaOf('ProductList'), { message: 'Internal server error' }, OPENAPI);
+  assert.deepStrictEqual(errors, [{ path: '$.items', message: 'is required' }]);
+});
+
+test('unresolved and remote $refs throw', () => {
+  assert.throws(() => validate({ $ref: '#/components/schemas/Missing' }, {}, OPENAPI), /Unresolved \$ref "#\/components\/schemas\/Missing"/);
+  assert.throws(() => validate({ $ref: 'other.json#/Product' }, {}), /Only local \$ref is supported/);
+});
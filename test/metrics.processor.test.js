@@ -0,0 +1,109 @@
+/**
+ * metrics.processor: aggregate mode rolls responses up into
+ * one interval record per request name; the last interval is
+ * written by the lifecycle plugin's cleanup() before the
+ * worker exits.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+
+// The artifact sink reads its settings on load
+const artifactDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-'));
+Object.assign(process.env, { ARTIFACT_DIR: artifactDir, RUN_ID: 'run-1', ARTIFACT_SINKS: 'local' });
+
+const lifecycle = require('../processors/lifecycle');
+const metrics = require('../processors/metrics.processor');
+const { Plugin } = require('../plugins/artillery-plugin-lifecycle');
+
+const METRICS_FILE = path.join(artifactDir, 'run-1', 'artillery-metrics.jsonl');
+
+test.after(() => fs.rmSync(artifactDir, { recursive: true, force: true }));
+
+const call = (hook, ...args) => new Promise((resolve, reject) => hook(...args, err => (err ? reject(err) : resolve())));
+
+test('aggregate mode writes interval records on flush', async () => {
+  const userContext = { vars: { metricsMode: 'aggregate', metricsInterval: 3600 }, _uid: 'vu-1' };
+  const response = (statusCode, total) => ({ statusCode, timings: { phases: { total } }, headers: {} });
+
+  await call(metrics.scenarioStart, userContext, null);
+  await call(metrics.captureMetrics, { name: 'GET_Products', method: 'GET' }, response(200, 40), userContext, null);
+  await call(metrics.captureMetrics, { name: 'GET_Products', method: 'GET' }, response(500, 80), userContext, null);
+  await call(metrics.captureMetrics, { name: 'POST_Test', method: 'POST' }, response(201, 120), userContext, null);
+  await call(metrics.scenarioEnd, userContext, null);
+
+  await lifecycle.flushAll();
+
+  const records = fs
+    .readFileSync(METRICS_FILE, 'utf8')
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line));
+  const byName = Object.fromEntries(records.filter(r => r.type === 'interval').map(r => [r.name, r]));
+
+  assert.deepStrictEqual(Object.keys(byName).sort(), ['GET_Products', 'POST_Test']);
+  assert.strictEqual(byName.GET_Products.count, 2);
+  assert.deepStrictEqual(byName.GET_Products.statusCodes, { 200: 1, 500: 1 });
+  assert.strictEqual(byName.GET_Products.latencyMs.min, 40);
+  assert.strictEqual(byName.GET_Products.latencyMs.max, 80);
+  assert.strictEqual(byName.POST_Test.count, 1);
+
+  const vusers = records.find(r => r.type === 'vusers_interval');
+  assert.strictEqual(vusers.started, 1);
+  assert.strictEqual(vusers.ended, 1);
+});
+
+const SCRIPT = { config: { plugins: { lifecycle: { flushTimeoutMs: 5000 } } } };
+
+const WORKER_SOURCE = `
+  const { parentPort } = require('worker_threads');
+  const { EventEmitter } = require('events');
+  const { Plugin } = require(${JSON.stringify(path.resolve(__dirname, '../plugins/artillery-plugin-lifecycle'))});
+  const metrics = require(${JSON.stringify(path.resolve(__dirname, '../processors/metrics.processor'))});
+
+  const plugin = new Plugin(${JSON.stringify(SCRIPT)}, new EventEmitter());
+  const userContext = { vars: { metricsMode: 'aggregate', metricsInterval: 3600 }, _uid: 'vu-1' };
+  const response = { statusCode: 200, timings: { phases: { total: 42 } }, headers: {} };
+
+  parentPort.on('message', () => plugin.cleanup(() => process.exit(0)));
+
+  metrics.captureMetrics({ name: 'GET_Products', method: 'GET' }, response, userContext, new EventEmitter(), () => {
+    parentPort.postMessage('ready');
+  });
+`;
+
+test('last aggregate interval is written from plugin cleanup', async () => {
+  const workerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-'));
+  const mainPlugin = new Plugin(SCRIPT, new EventEmitter());
+  const worker = new Worker(WORKER_SOURCE, {
+    eval: true,
+    env: { ...process.env, ARTIFACT_DIR: workerDir, RUN_ID: 'run-1', ARTIFACT_SINKS: 'local' }
+  });
+
+  await new Promise((resolve, reject) => {
+    worker.on('error', reject);
+    worker.on('message', resolve);
+  });
+
+  worker.postMessage('stop');
+  await promisify(mainPlugin.cleanup.bind(mainPlugin))();
+
+  const records = fs
+    .readFileSync(path.join(workerDir, 'run-1', 'artillery-metrics.jsonl'), 'utf8')
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line));
+
+  fs.rmSync(workerDir, { recursive: true, force: true });
+
+  assert.strictEqual(records.length, 1);
+  assert.strictEqual(records[0].type, 'interval');
+  assert.strictEqual(records[0].name, 'GET_Products');
+  assert.strictEqual(records[0].count, 1);
+});
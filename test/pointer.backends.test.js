@@ -0,0 +1,104 @@
+/**
+ * pointer.backends: block claims, reset once per run and lock
+ * handling, for the lock-file backend and the http backend
+ * against pointer.server.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createPointerBackend, withLock, LOCK_STALE_MS } = require('../processors/pointer.backends');
+const { createPointerServer } = require('../processors/pointer.server');
+
+/**
+ * Runs the shared contract against one backend.
+ */
+function contract(name, setup) {
+  test(`${name}: concurrent block claims never overlap`, async () => {
+    const backend = await setup();
+    const starts = await Promise.all(Array.from({ length: 20 }, () => backend.claim('products.csv', 3)));
+
+    assert.deepStrictEqual(
+      starts.sort((a, b) => a - b),
+      Array.from({ length: 20 }, (_, i) => i * 3)
+    );
+  });
+
+  test(`${name}: reset rewinds once per run`, async () => {
+    const backend = await setup();
+
+    await backend.claim('orders.csv', 5);
+    assert.strictEqual(await backend.reset('orders.csv', 'run-1'), true);
+    assert.strictEqual(await backend.claim('orders.csv', 2), 0);
+
+    // Every other worker of run-1 asks again
+    assert.strictEqual(await backend.reset('orders.csv', 'run-1'), false);
+    assert.strictEqual(await backend.claim('orders.csv', 2), 2);
+
+    assert.strictEqual(await backend.reset('orders.csv', 'run-2'), true);
+    assert.strictEqual(await backend.claim('orders.csv', 1), 0);
+  });
+}
+
+const dirs = [];
+const servers = [];
+
+test.after(() => {
+  dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  servers.forEach(server => server.close());
+});
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pointer-'));
+  dirs.push(dir);
+  return dir;
+}
+
+contract('lockfile', () => createPointerBackend('lockfile', { dir: tempDir() }));
+
+contract('http', async () => {
+  const server = createPointerServer();
+  servers.push(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return createPointerBackend('http', { baseUrl: `http://127.0.0.1:${server.address().port}/` });
+});
+
+test('lockfile: stale locks are removed', async () => {
+  const dir = tempDir();
+  const backend = createPointerBackend('lockfile', { dir });
+  const lockFile = path.join(dir, '.products.csv.pointer.lock');
+
+  fs.writeFileSync(lockFile, 'crashed worker');
+  const old = (Date.now() - LOCK_STALE_MS - 1000) / 1000;
+  fs.utimesSync(lockFile, old, old);
+
+  assert.strictEqual(await backend.claim('products.csv', 1), 0);
+  assert.ok(!fs.existsSync(lockFile));
+});
+
+test('withLock leaves a lock taken over by someone else', async () => {
+  const lockFile = path.join(tempDir(), '.x.pointer.lock');
+
+  await withLock(lockFile, () => {
+    // Another worker removed ours as stale and took the lock
+    fs.writeFileSync(lockFile, 'other owner');
+  });
+
+  assert.strictEqual(fs.readFileSync(lockFile, 'utf8'), 'other owner');
+});
+
+test('withLock releases its own lock when the section throws', async () => {
+  const lockFile = path.join(tempDir(), '.y.pointer.lock');
+
+  await assert.rejects(withLock(lockFile, () => {
+    throw new Error('boom');
+  }), /boom/);
+  assert.ok(!fs.existsSync(lockFile));
+});
+
+test('http backend requires a base URL', () => {
+  assert.throws(() => createPointerBackend('http', {}), /requires pointerUrl/);
+});
@@ -0,0 +1,159 @@
+/**
+ * s3.uploader: batching, part numbering and retries against an
+ * S3 stand-in; the last batch is uploaded by the lifecycle
+ * plugin's cleanup() before the worker thread exits.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { promisify } = require('util');
+const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+
+const { Plugin } = require('../plugins/artillery-plugin-lifecycle');
+const { createS3Uploader, partName } = require('../processors/s3.uploader');
+
+const SCRIPT = { config: { plugins: { lifecycle: { flushTimeoutMs: 5000 } } } };
+
+/**
+ * S3 stand-in: records every putObject, failing the first
+ * `failures` calls.
+ */
+function fakeS3(failures = 0) {
+  const puts = [];
+  return {
+    puts,
+    putObject: params => ({
+      promise: () => {
+        if (failures > 0) {
+          failures--;
+          return Promise.reject(new Error('503 Slow Down'));
+        }
+        puts.push(params);
+        return Promise.resolve({});
+      }
+    })
+  };
+}
+
+test('full batches are uploaded as numbered parts', async () => {
+  const s3 = fakeS3();
+  const uploader = createS3Uploader({ bucket: 'results', prefix: 'run-1', workerTag: 'w1', s3, maxBatchBytes: 10, flushIntervalMs: 60000 });
+
+  uploader.append('errors.jsonl', '{"a":1}\n');
+  assert.strictEqual(s3.puts.length, 0);
+
+  uploader.append('errors.jsonl', '{"b":2}\n');
+  await new Promise(setImmediate);
+  assert.strictEqual(s3.puts.length, 1);
+
+  uploader.append('errors.jsonl', '{"c":3}\n');
+  await uploader.flush();
+
+  assert.deepStrictEqual(
+    s3.puts.map(p => [p.Bucket, p.Key, p.Body]),
+    [
+      ['results', `run-1/w1/${partName('errors.jsonl', 1)}`, '{"a":1}\n{"b":2}\n'],
+      ['results', `run-1/w1/${partName('errors.jsonl', 2)}`, '{"c":3}\n']
+    ]
+  );
+});
+
+test('failed uploads keep their data for the next flush', async () => {
+  const s3 = fakeS3(1);
+  const uploader = createS3Uploader({ bucket: 'results', prefix: 'run-1', workerTag: 'w1', s3, maxAttempts: 1, flushIntervalMs: 60000 });
+  const error = console.error;
+
+  uploader.append('errors.jsonl', 'first\n');
+  console.error = () => {};
+  try {
+    await uploader.flush();
+  } finally {
+    console.error = error;
+  }
+  assert.strictEqual(s3.puts.length, 0);
+
+  uploader.append('errors.jsonl', 'second\n');
+  await uploader.flush();
+
+  assert.deepStrictEqual(
+    s3.puts.map(p => [p.Key, p.Body]),
+    [[`run-1/w1/${partName('errors.jsonl', 1)}`, 'first\nsecond\n']]
+  );
+});
+
+test('uploads are retried', async () => {
+  const s3 = fakeS3(2);
+  const uploader = createS3Uploader({ bucket: 'results', prefix: 'run-1', workerTag: 'w1', s3, maxAttempts: 3, retryBaseMs: 1, flushIntervalMs: 60000 });
+
+  uploader.append('errors.jsonl', 'line\n');
+  await uploader.flush();
+
+  assert.strictEqual(s3.puts.length, 1);
+});
+
+/**
+ * Worker thread: uploader with an S3 stand-in that reports every
+ * putObject to the parent, stopped the way Artillery stops
+ * workers (plugin cleanup, then process.exit).
+ */
+const WORKER_SOURCE = `
+  const { parentPort } = require('worker_threads');
+  const { EventEmitter } = require('events');
+  const { Plugin } = require(${JSON.stringify(path.resolve(__dirname, '../plugins/artillery-plugin-lifecycle'))});
+  const { createS3Uploader } = require(${JSON.stringify(path.resolve(__dirname, '../processors/s3.uploader'))});
+
+  const plugin = new Plugin(${JSON.stringify(SCRIPT)}, new EventEmitter());
+
+  const s3 = {
+    putObject: params => ({
+      promise: () => new Promise(resolve => setTimeout(resolve, 50)).then(() => parentPort.postMessage(params))
+    })
+  };
+
+  const uploader = createS3Uploader({ bucket: 'results', prefix: 'run-1', workerTag: 'w1', s3, flushIntervalMs: 60000 });
+
+  parentPort.on('message', () => plugin.cleanup(() => process.exit(0)));
+
+  uploader.append('artillery-metrics.jsonl', '{"seq":1}\\n');
+  uploader.flush().then(() => {
+    uploader.append('artillery-metrics.jsonl', '{"seq":2}\\n');
+    parentPort.postMessage('ready');
+  });
+`;
+
+test('last batch is uploaded from plugin cleanup before the worker exits', async () => {
+  const mainPlugin = new Plugin(SCRIPT, new EventEmitter());
+  const worker = new Worker(WORKER_SOURCE, { eval: true });
+  const uploads = [];
+
+  await new Promise((resolve, reject) => {
+    worker.on('error', reject);
+    worker.on('message', message => {
+      if (message === 'ready') resolve();
+      else uploads.push(message);
+    });
+  });
+
+  // Artillery: stop the workers, then clean up the main thread's plugins
+  const exited = new Promise(resolve => worker.on('exit', resolve));
+  worker.postMessage('stop');
+  await promisify(mainPlugin.cleanup.bind(mainPlugin))();
+
+  // Uploads reach this thread on another channel than 'flushed'
+  await exited;
+
+  assert.deepStrictEqual(
+    uploads.map(u => [u.Key, u.Body]),
+    [
+      [`run-1/w1/${partName('artillery-metrics.jsonl', 1)}`, '{"seq":1}\n'],
+      [`run-1/w1/${partName('artillery-metrics.jsonl', 2)}`, '{"seq":2}\n']
+    ]
+  );
+});
+
+test('partName numbers parts before the extension', () => {
+  assert.strictEqual(partName('artillery-metrics.jsonl', 12), 'artillery-metrics.part-0012.jsonl');
+  assert.strictEqual(partName('errors', 1), 'errors.part-0001');
+});
@@ -0,0 +1,151 @@
+/**
+ * schema.processor: validateResponse against OpenAPI file
+ * schemas, 1-in-N sampling, and the response.schemaErrors
+ * handoff to logError; reportgenerator.js turning k6 schema
+ * failures into failed requests.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+// The artifact sink reads its settings on load
+const artifactDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-'));
+Object.assign(process.env, { ARTIFACT_DIR: artifactDir, RUN_ID: 'run-1', ARTIFACT_SINKS: 'local' });
+
+const { validateResponse } = require('../processors/schema.processor');
+const { logError } = require('../processors/aws_processor');
+const sink = require('../processors/artifact.sink');
+
+const OPENAPI_FILE = path.join(artifactDir, 'openapi.yml');
+fs.writeFileSync(OPENAPI_FILE, [
+  'openapi: 3.0.3',
+  'components:',
+  '  schemas:',
+  '    Product:',
+  '      type: object',
+  '      required: [id, name]',
+  '      properties:',
+  '        id: { type: string }',
+  '        name: { type: string }',
+  '      additionalProperties: false',
+  '    ProductList:',
+  '      type: array',
+  '      items: { $ref: "#/components/schemas/Product" }',
+  ''
+].join('\n'));
+
+test.after(() => fs.rmSync(artifactDir, { recursive: true, force: true }));
+
+/**
+ * Runs validateResponse; resolves with the counters it emitted.
+ */
+function validateAs(name, body, vars, statusCode = 200) {
+  const counters = {};
+  const ee = { emit: (type, counter, value) => { counters[counter] = (counters[counter] || 0) + value; } };
+  const response = { statusCode, body: JSON.stringify(body), headers: {} };
+  const userContext = { vars: { responseSchemas: { [name]: `${OPENAPI_FILE}#/components/schemas/ProductList` }, ...vars } };
+
+  const warn = console.warn;
+  console.warn = () => {};
+  return new Promise((resolve, reject) => {
+    validateResponse({ name }, response, userContext, ee, err => {
+      console.warn = warn;
+      return err ? reject(err) : resolve({ counters, response, userContext });
+    });
+  });
+}
+
+test('OpenAPI component $refs, required and additionalProperties', async () => {
+  const valid = await validateAs('GET_Valid', [{ id: 'P-1', name: 'Laptop' }]);
+  assert.deepStrictEqual(valid.counters, { 'schema.validated': 1 });
+  assert.strictEqual(valid.response.schemaErrors, undefined);
+
+  const invalid = await validateAs('GET_Invalid', [{ id: 'P-1', colour: 'red' }]);
+  assert.deepStrictEqual(invalid.counters, { 'schema.validated': 1, 'schema.failed.GET_Invalid': 1 });
+  assert.deepStrictEqual(invalid.response.schemaErrors, [
+    { path: '$[0].name', message: 'is required' },
+    { path: '$[0].colour', message: 'is not allowed' }
+  ]);
+});
+
+test('error statuses and non-JSON bodies', async () => {
+  const error = await validateAs('GET_Error', { message: 'Internal server error' }, {}, 502);
+  assert.deepStrictEqual(error.counters, {});
+
+  const counters = {};
+  const response = { statusCode: 200, body: '<html>', headers: {} };
+  const vars = { responseSchemas: { '*': { type: 'object' } } };
+  const warn = console.warn;
+  console.warn = () => {};
+  await new Promise(resolve => validateResponse({ name: 'GET_Html' }, response, { vars }, { emit: (t, c, v) => { counters[c] = v; } }, resolve));
+  console.warn = warn;
+  assert.deepStrictEqual(response.schemaErrors, [{ path: '$', message: 'is not valid JSON' }]);
+  assert.strictEqual(counters['schema.failed.GET_Html'], 1);
+});
+
+test('schemaSampleRate validates 1 in N responses per name', async () => {
+  let validated = 0;
+  for (let i = 0; i < 10; i++) {
+    const { counters } = await validateAs('GET_Sampled', [{ id: 'P-1' }], { schemaSampleRate: 4 });
+    validated += counters['schema.validated'] || 0;
+  }
+  // Responses 1, 5 and 9
+  assert.strictEqual(validated, 3);
+
+  const other = await validateAs('GET_OtherName', [{ id: 'P-1' }], { schemaSampleRate: 4 });
+  assert.strictEqual(other.counters['schema.validated'], 1, 'each name has its own sample');
+});
+
+test('a broken $ref is a hook error, not a response failure', async () => {
+  const vars = { responseSchemas: { GET_Broken: `${OPENAPI_FILE}#/components/schemas/Missing` } };
+  await assert.rejects(
+    new Promise((resolve, reject) =>
+      validateResponse({ name: 'GET_Broken' }, { statusCode: 200, body: '[]' }, { vars }, { emit() {} }, err => (err ? reject(err) : resolve()))),
+    /Unresolved \$ref/
+  );
+});
+
+test('logError records schema failures of 2xx responses', async () => {
+  const { response, userContext } = await validateAs('GET_Logged', [{ id: 'P-1' }]);
+  const request = { name: 'GET_Logged', method: 'GET', url: 'https://api.example.test/products', headers: {} };
+
+  await new Promise((resolve, reject) => logError(request, response, userContext, { emit() {} }, err => (err ? reject(err) : resolve())));
+  await sink.flush();
+
+  const records = fs.readFileSync(path.join(artifactDir, 'run-1', 'errors.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+  assert.strictEqual(records.length, 1);
+  assert.deepStrictEqual(records[0].reasons, ['schema']);
+  assert.strictEqual(records[0].statusCode, 200);
+  assert.deepStrictEqual(records[0].schemaErrors, [{ path: '$[0].name', message: 'is required' }]);
+});
+
+test('reportgenerator.js counts k6 schema failures as failed requests', async () => {
+  const csvFile = path.join(artifactDir, 'k6.csv');
+  const htmlFile = path.join(artifactDir, 'report.html');
+  const row = (metric, value, name, status = '200') => `${metric},1700000000,${value},,${name},${status}`;
+  fs.writeFileSync(csvFile, [
+    'metric_name,timestamp,metric_value,group,name,status',
+    ...['GET_Products', 'GET_Products', 'GET_Products'].flatMap(name => [
+      row('http_reqs', 1, name),
+      row('http_req_duration', 40, name),
+      row('http_req_failed', 0, name)
+    ]),
+    row('schema_validation_failed', 1, 'GET_Products'),
+    row('schema_validation_failed', 0, 'GET_Products'),
+    ''
+  ].join('\n'));
+
+  await promisify(execFile)(process.execPath, [path.join(__dirname, '..', 'reportgenerator.js'), csvFile, htmlFile], { timeout: 30000 });
+
+  const html = fs.readFileSync(htmlFile, 'utf8');
+  const [api] = JSON.parse(/const apis = (.*);\n/.exec(html)[1]);
+  assert.strictEqual(api.key, 'GET_Products');
+  assert.strictEqual(api.pass, 2);
+  assert.strictEqual(api.fail, 1);
+  assert.deepStrictEqual(api.status, { schema: 1 });
+});
@@ -0,0 +1,170 @@
+/**
+ * utils.processor: correlate's onMissing policies and their
+ * counters; weightedRoute's deterministic mix and its report.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const lifecycle = require('../processors/lifecycle');
+const utils = require('../processors/utils.processor');
+
+const PRODUCTS = JSON.stringify({ data: [{ id: 1, stock: 0 }, { id: 2, stock: 4 }] });
+
+/**
+ * Runs correlate with one config; collects counters and warnings.
+ */
+function correlate(cfg, vars = { products: PRODUCTS }) {
+  const counters = {};
+  const warnings = [];
+  const events = { emit: (type, name, value) => { counters[name] = (counters[name] || 0) + value; } };
+  const userContext = {
+    vars: { correlationArrayVar: 'products', correlationArrayPath: '$.data', correlationConfig: [].concat(cfg), ...vars },
+    _uid: 'vu-1'
+  };
+
+  const warn = console.warn;
+  const error = console.error;
+  console.warn = message => warnings.push(message);
+  console.error = () => {};
+  let err;
+  try {
+    utils.correlate(userContext, events, e => { err = e; });
+  } finally {
+    console.warn = warn;
+    console.error = error;
+  }
+  return { err, vars: userContext.vars, counters, warnings };
+}
+
+test('a match sets the target and counts no miss', () => {
+  const { err, vars, counters, warnings } = correlate({ target: 'inStockId', field: 'id', mode: 'FIRST', where: 'stock > 0' });
+  assert.ifError(err);
+  assert.strictEqual(vars.inStockId, 2);
+  assert.deepStrictEqual(counters, {});
+  assert.deepStrictEqual(warnings, []);
+});
+
+test('unset onMissing warns once, also when the array is missing', () => {
+  const noMatch = correlate({ target: 'pick', field: 'id', where: 'stock > 10' });
+  assert.ifError(noMatch.err);
+  assert.strictEqual(noMatch.vars.pick, undefined);
+  assert.deepStrictEqual(noMatch.counters, { 'correlation.miss.pick': 1 });
+  assert.deepStrictEqual(noMatch.warnings, ["[CORRELATE] no value for target 'pick' (no match)"]);
+
+  const noArray = correlate({ target: 'pick', field: 'id' }, {});
+  assert.ifError(noArray.err);
+  assert.deepStrictEqual(noArray.counters, { 'correlation.miss.pick': 1 });
+  assert.deepStrictEqual(noArray.warnings, ["[CORRELATE] no value for target 'pick' (arrayVar 'products' not found)"]);
+});
+
+test('skip-scenario flags the VU', () => {
+  const { err, vars, counters, warnings } = correlate({ target: 'pick', field: 'id', where: 'stock > 10', onMissing: 'skip-scenario' });
+  assert.ifError(err);
+  assert.strictEqual(vars.skipMe, true);
+  assert.strictEqual(vars.pick, undefined);
+  assert.deepStrictEqual(counters, { 'correlation.miss.pick': 1, 'correlation.skipped.pick': 1 });
+  assert.deepStrictEqual(warnings, []);
+});
+
+test('fail hands an error to done', () => {
+  const { err, counters } = correlate({ target: 'pick', field: 'missing', onMissing: 'fail' });
+  assert.match(err.message, /Correlation missing for target 'pick'/);
+  assert.deepStrictEqual(counters, { 'correlation.miss.pick': 1, 'correlation.failed.pick': 1 });
+});
+
+test('default: parses JSON and falls back to text', () => {
+  const json = correlate({ target: 'pick', field: 'missing', onMissing: 'default:0' });
+  assert.strictEqual(json.vars.pick, 0);
+  assert.deepStrictEqual(json.counters, { 'correlation.miss.pick': 1, 'correlation.defaulted.pick': 1 });
+
+  const text = correlate({ target: 'pick', field: 'missing', onMissing: 'default:none' });
+  assert.strictEqual(text.vars.pick, 'none');
+});
+
+test('an unknown onMissing is an error before any miss', () => {
+  const { err, counters } = correlate({ target: 'pick', field: 'id', onMissing: 'ignore' });
+  assert.match(err.message, /Unknown onMissing "ignore"/);
+  assert.deepStrictEqual(counters, {});
+});
+
+/**
+ * Runs weightedRoute `n` times for one scenario; returns the picks.
+ */
+function route(n, vars, scenario = 'checkout-mix') {
+  const picks = [];
+  const counters = {};
+  const events = { emit: (type, name, value) => { counters[name] = (counters[name] || 0) + value; } };
+
+  for (let i = 0; i < n; i++) {
+    const context = { vars: { ...vars }, scenario: { name: scenario } };
+    let err;
+    utils.weightedRoute(context, events, e => { err = e; });
+    if (err) throw err;
+    picks.push(context.vars[vars.routeVar || 'route']);
+  }
+  return { picks, counters };
+}
+
+const countOf = (picks, name) => picks.filter(p => p === name).length;
+
+test('deterministic mode hits the exact mix in every window of total picks', () => {
+  const weights = { browse: 70, search: 20, checkout: 10 };
+  const { picks, counters } = route(300, { routeWeights: weights, routeVar: 'flow' }, 'exact-mix');
+
+  assert.deepStrictEqual(counters, { 'route.browse': 210, 'route.search': 60, 'route.checkout': 30 });
+
+  // Smooth round-robin: each block of 10 picks (total / gcd) is 7 / 2 / 1
+  for (let start = 0; start < picks.length; start += 10) {
+    const block = picks.slice(start, start + 10);
+    assert.deepStrictEqual(
+      [countOf(block, 'browse'), countOf(block, 'search'), countOf(block, 'checkout')],
+      [7, 2, 1],
+      `block at ${start}: ${block.join(',')}`
+    );
+  }
+
+  // ...and interleaved, not bunched
+  assert.deepStrictEqual(picks.slice(0, 10), [
+    'browse', 'browse', 'search', 'browse', 'browse', 'checkout', 'browse', 'browse', 'search', 'browse'
+  ]);
+});
+
+test('deterministic state is per scenario and weight map; zero weights never win', () => {
+  const a = route(4, { routeWeights: '{"a": 1, "b": 1, "never": 0}' }, 'scenario-a');
+  const b = route(4, { routeWeights: { a: 1, b: 1, never: 0 } }, 'scenario-b');
+
+  assert.deepStrictEqual(a.picks, ['a', 'b', 'a', 'b']);
+  assert.deepStrictEqual(b.picks, ['a', 'b', 'a', 'b']);
+});
+
+test('invalid weights and modes are errors', () => {
+  assert.throws(() => route(1, {}), /requires a routeWeights map/);
+  assert.throws(() => route(1, { routeWeights: { a: -1 } }), /Invalid weight for route "a"/);
+  assert.throws(() => route(1, { routeWeights: { a: 0 } }), /at least one route with a positive weight/);
+  assert.throws(() => route(1, { routeWeights: { a: 1 }, routeMode: 'fair' }), /Unknown routeMode "fair"/);
+});
+
+test('the mix report is printed on flush, once per new batch of picks', async () => {
+  route(10, { routeWeights: { browse: 70, search: 20, checkout: 10 } }, 'report-mix');
+
+  const flush = async () => {
+    const lines = [];
+    const log = console.log;
+    console.log = message => lines.push(String(message));
+    try {
+      await lifecycle.flushAll();
+    } finally {
+      console.log = log;
+    }
+    return lines;
+  };
+
+  const report = (await flush()).join('\n');
+  assert.match(report, /Route mix for report-mix \(10 picks\):/);
+  assert.match(report, /browse: 7 \(70\.0%, target 70\.0%\)/);
+  assert.match(report, /search: 2 \(20\.0%, target 20\.0%\)/);
+  assert.match(report, /checkout: 1 \(10\.0%, target 10\.0%\)/);
+
+  assert.ok(!(await flush()).some(line => line.includes('Route mix')), 'no new picks, no second report');
+});